@@ -0,0 +1,194 @@
+class CSVParser {
+    // RFC 4180 parser fed in chunks: quoted fields may contain delimiters, doubled
+    // quotes and line breaks; records end at LF, CRLF or a lone CR.
+    constructor({ delimiter = 'auto', onRow = null } = {}) {
+        this.delimiter = delimiter === 'auto' ? null : delimiter;
+        this.onRow = onRow;
+        this.pending = '';
+        this.field = '';
+        this.row = [];
+        this.rowErrors = [];
+        this.inQuotes = false;
+        this.quotePending = false;
+        this.fieldQuoted = false;
+        this.afterCR = false;
+        this.started = false;
+        this.line = 1;
+        this.rowLine = 1;
+    }
+
+    static parse(text, options = {}) {
+        const rows = [];
+        const parser = new CSVParser({ ...options, onRow: (fields, info) => rows.push({ fields, ...info }) });
+        parser.push(text);
+        parser.finish();
+        return { rows, delimiter: parser.delimiter };
+    }
+
+    // Counts candidate delimiters outside quotes on the first record
+    static detectDelimiter(sample) {
+        const counts = { ',': 0, ';': 0, '\t': 0 };
+        let inQuotes = false;
+
+        for (const char of sample) {
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!inQuotes && char in counts) {
+                counts[char]++;
+            }
+        }
+
+        const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        return count > 0 ? best : ',';
+    }
+
+    static formatRow(values, delimiter = ',') {
+        return values.map(value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /["\r\n]/.test(text) || text.includes(delimiter)
+                ? `"${text.replace(/"/g, '""')}"`
+                : text;
+        }).join(delimiter);
+    }
+
+    async parseFile(file, { onProgress = null, chunkSize = 1024 * 1024 } = {}) {
+        const decoder = new TextDecoder('utf-8');
+
+        for (let offset = 0; offset < file.size; offset += chunkSize) {
+            const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+            this.push(decoder.decode(buffer, { stream: true }));
+
+            if (onProgress) {
+                onProgress(Math.min(offset + chunkSize, file.size) / file.size);
+            }
+            // Yield so the loading overlay can repaint between chunks
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        this.push(decoder.decode());
+        this.finish();
+        return this.delimiter;
+    }
+
+    push(chunk) {
+        let text = chunk;
+
+        if (!this.started) {
+            text = text.replace(/^\uFEFF/, '');
+            this.started = text.length > 0;
+        }
+
+        if (!this.delimiter) {
+            // Hold text back until the header record is complete enough to detect the delimiter
+            this.pending += text;
+            if (!/[\r\n]/.test(this.pending)) return;
+            this.delimiter = CSVParser.detectDelimiter(this.pending);
+            text = this.pending;
+            this.pending = '';
+        }
+
+        this.consume(text);
+    }
+
+    finish() {
+        if (!this.delimiter) {
+            this.delimiter = CSVParser.detectDelimiter(this.pending);
+            this.consume(this.pending);
+            this.pending = '';
+        }
+        if (this.quotePending) {
+            this.quotePending = false;
+            this.inQuotes = false;
+        }
+        if (this.inQuotes) {
+            this.rowErrors.push('Unterminated quoted field');
+            this.inQuotes = false;
+        }
+        if (this.field !== '' || this.fieldQuoted || this.row.length > 0) {
+            this.endRow();
+        }
+    }
+
+    consume(text) {
+        const delimiter = this.delimiter;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (this.afterCR) {
+                this.afterCR = false;
+                if (char === '\n') continue;
+            }
+
+            if (this.inQuotes) {
+                if (this.quotePending) {
+                    this.quotePending = false;
+                    if (char === '"') {
+                        this.field += '"';
+                        continue;
+                    }
+                    // The pending quote closed the field; handle this char as unquoted
+                    this.inQuotes = false;
+                } else if (char === '"') {
+                    this.quotePending = true;
+                    continue;
+                } else {
+                    if (char === '\n') this.line++;
+                    this.field += char;
+                    continue;
+                }
+            }
+
+            if (char === delimiter) {
+                this.endField();
+            } else if (char === '\n' || char === '\r') {
+                this.afterCR = char === '\r';
+                this.endRow();
+                this.line++;
+                this.rowLine = this.line;
+            } else if (char === '"' && this.field.trim() === '' && !this.fieldQuoted) {
+                this.field = '';
+                this.inQuotes = true;
+                this.fieldQuoted = true;
+            } else if (this.fieldQuoted && (char === ' ' || char === '\t')) {
+                // Padding between a closing quote and the delimiter is ignored
+                continue;
+            } else {
+                if (char === '"' || this.fieldQuoted) {
+                    this.addError(this.fieldQuoted
+                        ? `Text after closing quote in field ${this.row.length + 1}`
+                        : `Stray quote in unquoted field ${this.row.length + 1}`);
+                }
+                this.field += char;
+            }
+        }
+    }
+
+    addError(message) {
+        if (!this.rowErrors.includes(message)) {
+            this.rowErrors.push(message);
+        }
+    }
+
+    endField() {
+        // Unquoted fields are trimmed; quoted fields keep their whitespace
+        this.row.push(this.fieldQuoted ? this.field : this.field.trim());
+        this.field = '';
+        this.fieldQuoted = false;
+    }
+
+    endRow() {
+        this.endField();
+        const fields = this.row;
+        const errors = this.rowErrors;
+        this.row = [];
+        this.rowErrors = [];
+
+        const isBlank = fields.length === 1 && fields[0] === '';
+        if (!isBlank && this.onRow) {
+            this.onRow(fields, { line: this.rowLine, errors });
+        }
+    }
+}
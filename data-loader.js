@@ -1,311 +1,1571 @@
 class DataLoader {
-    constructor() {
+    static MAX_REPORT_ENTRIES = 5000;
+
+    constructor(options = {}) {
         this.data = null;
+        this.rawData = null;
         this.tracks = new Set();
         this.dates = new Set();
         this.X_train = null;
         this.y_train = null;
+        this.X_val = null;
+        this.y_val = null;
         this.X_test = null;
         this.y_test = null;
+        this.X_forecast = null;     // [1, window, features] ending at the newest date, for forecasting
+        this.forecastInfo = null;
         this.trackMetadata = new Map();
         this.normalizationParams = new Map();
+        this.normalization = { method: 'minmax', scope: 'track', ...options.normalization };
+        this.fixedNormalization = null;     // exported params to reuse instead of fitting
+        this.fittedNormalization = null;
         this.selectedTracks = [];
+        this.windowSize = options.windowSize || 7;
+        this.horizon = options.horizon || 3;
+        this.featureRegistry = options.featureRegistry || FeatureRegistry.createDefault();
+        this.activeFeatures = options.features || ['streams', 'danceability', 'energy', 'streams_momentum', 'streams_ma3'];
+        this.imputation = options.imputation || 'none';     // 'none' | 'ffill' | 'linear' | 'mask'
+        this.dateFormat = options.dateFormat || 'auto';     // 'auto' | 'dmy' | 'mdy' for ambiguous dd/mm dates
+        this.gapReport = null;
+        this.index = null;
+        this.testBaselines = null;
+        this.windows = null;
+        this.splitConfig = { trainRatio: 0.7, validationRatio: 0.15, ...options.splitConfig };
+        if (!this.featureRegistry.has('observed_mask')) {
+            this.featureRegistry.register({
+                key: 'observed_mask',
+                name: 'Observed Mask',
+                description: '1 where the track-day was in the data, 0 where it was imputed',
+                compute: (rows, i) => (rows[i].imputed ? 0 : 1),
+                normalization: 'none',
+                internal: true
+            });
+        }
+        this.columnMapping = [];
+        this.columnRoles = null;
+        this.parseState = null;
+        this.parseReport = null;
+        this.externalMetadata = new Map();
+        this.targetMode = options.targetMode || 'binary';                   // 'binary' | 'regression' | 'multiclass'
+        this.regressionTransform = options.regressionTransform || 'log';   // 'raw' | 'log' | 'percent'
+        this.classThresholds = options.classThresholds || [-10, 2, 10];    // % change bucket edges
+        this.targetParams = null;
+        this.fixedTargetParams = null;  // regression target scaling saved with a model, reused instead of fitting
+        this.testDates = [];
+        this.testBaseStreams = [];
+        this.trackSelection = {
+            mode: 'top',        // 'top' | 'ids' | 'pattern'
+            count: 10,
+            trackIds: [],
+            pattern: '',
+            ...(options.trackSelection || {})
+        };
+    }
+
+    setTrackSelection(selection) {
+        this.trackSelection = { ...this.trackSelection, ...selection };
+    }
+
+    setActiveFeatures(keys) {
+        if (keys.length === 0) {
+            throw new Error('Select at least one feature');
+        }
+        // Column features may not be registered until the next parse, so unknown keys are checked there
+        this.activeFeatures = keys;
+    }
+
+    // Model input features per track: the user's selection plus the mask channel when masking gaps
+    getFeatureKeys() {
+        return this.imputation === 'mask' ? [...this.activeFeatures, 'observed_mask'] : this.activeFeatures;
+    }
+
+    getActiveFeatures() {
+        return this.featureRegistry.resolve(this.getFeatureKeys());
+    }
+
+    get featuresPerTrack() {
+        return this.getFeatureKeys().length;
+    }
+
+    setGapConfig({ imputation = this.imputation, dateFormat = this.dateFormat }) {
+        if (!['none', 'ffill', 'linear', 'mask'].includes(imputation)) {
+            throw new Error(`Unknown imputation strategy: ${imputation}`);
+        }
+        if (!['auto', 'dmy', 'mdy'].includes(dateFormat)) {
+            throw new Error(`Unknown date format: ${dateFormat}`);
+        }
+        this.imputation = imputation;
+        this.dateFormat = dateFormat;
+    }
+
+    static normalizationMethods() {
+        return ['minmax', 'zscore', 'log_zscore', 'robust'];
     }
 
-    async loadCSV(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    this.parseCSV(e.target.result);
-                    resolve(this.data);
-                } catch (error) {
-                    reject(error);
+    setNormalizationConfig({ method = this.normalization.method, scope = this.normalization.scope }) {
+        if (!DataLoader.normalizationMethods().includes(method)) {
+            throw new Error(`Unknown normalization method: ${method}`);
+        }
+        if (!['track', 'global'].includes(scope)) {
+            throw new Error(`Unknown normalization scope: ${scope}`);
+        }
+        this.normalization = { method, scope };
+    }
+
+    // Whatever the two ratios leave over becomes the test set
+    setSplitConfig({ trainRatio = this.splitConfig.trainRatio, validationRatio = this.splitConfig.validationRatio }) {
+        if (!(trainRatio > 0) || !(validationRatio > 0)) {
+            throw new Error('Training and validation shares must be positive');
+        }
+        if (trainRatio + validationRatio >= 1) {
+            throw new Error('Training and validation shares must leave room for a test set');
+        }
+        this.splitConfig = { trainRatio, validationRatio };
+    }
+
+    setWindowConfig({ windowSize = this.windowSize, horizon = this.horizon }) {
+        if (!Number.isInteger(windowSize) || windowSize < 1) {
+            throw new Error('Window length must be a positive integer');
+        }
+        if (!Number.isInteger(horizon) || horizon < 1) {
+            throw new Error('Forecast horizon must be a positive integer');
+        }
+        this.windowSize = windowSize;
+        this.horizon = horizon;
+    }
+
+    setTargetConfig({
+        targetMode = this.targetMode,
+        regressionTransform = this.regressionTransform,
+        classThresholds = this.classThresholds
+    }) {
+        if (!['binary', 'regression', 'multiclass'].includes(targetMode)) {
+            throw new Error(`Unknown target mode: ${targetMode}`);
+        }
+        if (!['raw', 'log', 'percent'].includes(regressionTransform)) {
+            throw new Error(`Unknown regression transform: ${regressionTransform}`);
+        }
+        if (targetMode === 'multiclass') {
+            if (classThresholds.length === 0 || classThresholds.some(t => !Number.isFinite(t))) {
+                throw new Error('Class thresholds must be a non-empty list of numbers');
+            }
+            if (classThresholds.some((t, i) => i > 0 && t <= classThresholds[i - 1])) {
+                throw new Error('Class thresholds must be strictly increasing');
+            }
+        }
+        this.targetMode = targetMode;
+        this.regressionTransform = regressionTransform;
+        this.classThresholds = classThresholds;
+    }
+
+    getClassLabels() {
+        if (this.targetMode !== 'multiclass') {
+            return ['Down', 'Up'];
+        }
+        const t = this.classThresholds;
+        if (t.length === 3) {
+            return ['Big drop', 'Flat', 'Rise', 'Big rise'];
+        }
+        return Array.from({ length: t.length + 1 }, (_, cls) => {
+            if (cls === 0) return `< ${t[0]}%`;
+            if (cls === t.length) return `≥ ${t[t.length - 1]}%`;
+            return `${t[cls - 1]}% to ${t[cls]}%`;
+        });
+    }
+
+    // Classes whose lower edge is a non-negative change count as "up" for breakout scoring
+    getRisingClasses() {
+        return this.classThresholds
+            .map((threshold, i) => (threshold >= 0 ? i + 1 : null))
+            .filter(cls => cls !== null);
+    }
+
+    // Reads just enough of a file to preview it and guess its columns
+    async readFileHead(file, bytes = 64 * 1024) {
+        return {
+            text: await file.slice(0, bytes).text(),
+            truncated: file.size > bytes
+        };
+    }
+
+    async loadCSV(file, columnRoles = null, onProgress = null) {
+        let roles = columnRoles;
+        if (!roles) {
+            const head = await this.readFileHead(file);
+            roles = this.previewCSV(head.text, 5, head.truncated).guess;
+        }
+
+        let headers = null;
+        const parser = new CSVParser({
+            onRow: (fields, info) => {
+                if (!headers) {
+                    headers = fields;
+                    this.beginRows(headers, roles);
+                } else {
+                    this.addRow(fields, info);
                 }
-            };
-            reader.onerror = reject;
-            reader.readAsText(file);
+            }
         });
+
+        await parser.parseFile(file, { onProgress });
+        if (!headers) {
+            throw new Error('CSV file is empty');
+        }
+        this.finishRows(parser.delimiter);
+        return this.data;
     }
 
-    parseCSV(csvText) {
-        const lines = csvText.split('\n').filter(line => line.trim());
-        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-        
-        const dateIdx = headers.findIndex(h => h.toLowerCase().includes('date'));
-        const trackIdx = headers.findIndex(h => h.toLowerCase().includes('track'));
-        const streamsIdx = headers.findIndex(h => h.toLowerCase().includes('stream'));
-        const danceabilityIdx = headers.findIndex(h => h.toLowerCase().includes('danceability'));
-        const energyIdx = headers.findIndex(h => h.toLowerCase().includes('energy'));
-        const valenceIdx = headers.findIndex(h => h.toLowerCase().includes('valence'));
-        const acousticnessIdx = headers.findIndex(h => h.toLowerCase().includes('acousticness'));
+    previewCSV(csvText, rowCount = 5, truncated = false) {
+        const { rows, delimiter } = CSVParser.parse(csvText);
+        if (truncated) {
+            // The last record of a partial read may be cut off
+            rows.pop();
+        }
+        if (rows.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+        const headers = rows[0].fields;
+        const sampleRows = rows.slice(1).map(row => row.fields);
+        return {
+            headers,
+            delimiter,
+            rows: sampleRows.slice(0, rowCount),
+            guess: this.guessColumnRoles(headers, sampleRows)
+        };
+    }
 
-        this.data = [];
-        for (let i = 1; i < lines.length; i++) {
-            const values = this.parseCSVLine(lines[i]);
-            if (values.length >= Math.max(dateIdx, trackIdx, streamsIdx, danceabilityIdx, energyIdx)) {
-                const entry = {
-                    date: values[dateIdx],
-                    track_id: values[trackIdx],
-                    streams: parseFloat(values[streamsIdx]) || 0,
-                    danceability: parseFloat(values[danceabilityIdx]) || 0,
-                    energy: parseFloat(values[energyIdx]) || 0,
-                    valence: parseFloat(values[valenceIdx]) || 0,
-                    acousticness: parseFloat(values[acousticnessIdx]) || 0
-                };
-                
-                if (entry.track_id && entry.date) {
-                    this.data.push(entry);
-                    this.tracks.add(entry.track_id);
-                    this.dates.add(entry.date);
+    // Header hints per role: exact names score highest, substrings next, and
+    // "avoid" words rule out look-alikes such as track_name or stream_rank.
+    static columnRoleHints() {
+        return {
+            date: { exact: ['date', 'day', 'chart_date'], contains: ['date'], avoid: ['release'] },
+            track: { exact: ['track_id', 'trackid', 'id', 'track_uri', 'uri', 'track'], contains: ['track'], avoid: ['name', 'title', 'number', 'count'] },
+            streams: { exact: ['streams', 'stream_count', 'streams_count'], contains: ['stream'], avoid: ['rank', 'position', 'change'] },
+            artist: { exact: ['artist', 'artist_name', 'artists'], contains: ['artist'], avoid: ['id', 'uri'] },
+            trackName: { exact: ['track_name', 'name', 'title', 'song', 'song_name', 'track_title'], contains: ['name', 'title'], avoid: ['artist', 'album'] },
+            releaseDate: { exact: ['release_date', 'released', 'releasedate'], contains: ['release'], avoid: [] },
+            danceability: { exact: ['danceability'], contains: ['danceability'], avoid: [] },
+            energy: { exact: ['energy'], contains: ['energy'], avoid: [] },
+            valence: { exact: ['valence'], contains: ['valence'], avoid: [] },
+            acousticness: { exact: ['acousticness'], contains: ['acousticness'], avoid: [] }
+        };
+    }
+
+    scoreHeader(header, hint) {
+        const name = header.toLowerCase().trim();
+        if (hint.exact.includes(name)) return 3;
+        if (hint.avoid.some(word => name.includes(word))) return 0;
+        return hint.contains.some(word => name.includes(word)) ? 1 : 0;
+    }
+
+    guessColumnRoles(headers, sampleRows) {
+        const roles = { extra: [] };
+        const used = new Set();
+
+        Object.entries(DataLoader.columnRoleHints()).forEach(([role, hint]) => {
+            let best = '';
+            let bestScore = 0;
+            headers.forEach(header => {
+                const score = this.scoreHeader(header, hint);
+                if (score > bestScore && !used.has(header)) {
+                    best = header;
+                    bestScore = score;
                 }
+            });
+            roles[role] = best;
+            if (best) used.add(best);
+        });
+
+        const reserved = new Set(headers.map((header, index) => (used.has(header) ? index : -1)));
+        roles.extra = this.detectNumericColumns(headers, sampleRows, reserved).map(({ header }) => header);
+        return roles;
+    }
+
+    validateColumnRoles(roles, headers) {
+        ['date', 'track', 'streams'].forEach(role => {
+            if (!roles[role]) {
+                throw new Error(`No column assigned to ${role}`);
             }
+        });
+
+        const assigned = [
+            ...Object.keys(DataLoader.columnRoleHints()).map(role => roles[role]).filter(Boolean),
+            ...(roles.extra || [])
+        ];
+        const missing = assigned.filter(header => !headers.includes(header));
+        if (missing.length > 0) {
+            throw new Error(`Mapped columns not found in file: ${missing.join(', ')}`);
         }
+        const duplicates = assigned.filter((header, i) => assigned.indexOf(header) !== i);
+        if (duplicates.length > 0) {
+            throw new Error(`Columns assigned to more than one role: ${Array.from(new Set(duplicates)).join(', ')}`);
+        }
+    }
 
-        this.selectTopTracks(10);
-        this.engineerFeatures();
+    parseCSV(csvText, columnRoles = null) {
+        const { rows, delimiter } = CSVParser.parse(csvText);
+        if (rows.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+        const headers = rows[0].fields;
+        const roles = columnRoles || this.guessColumnRoles(headers, rows.slice(1, 201).map(row => row.fields));
+
+        this.beginRows(headers, roles);
+        rows.slice(1).forEach(row => this.addRow(row.fields, row));
+        this.finishRows(delimiter);
         return this.data;
     }
 
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim().replace(/"/g, ''));
-                current = '';
+    beginRows(headers, roles) {
+        this.validateColumnRoles(roles, headers);
+        this.columnRoles = roles;
+
+        const indexOf = header => (header ? headers.indexOf(header) : -1);
+        this.parseState = {
+            headers,
+            dateIdx: indexOf(roles.date),
+            trackIdx: indexOf(roles.track),
+            streamsIdx: indexOf(roles.streams),
+            artistIdx: indexOf(roles.artist),
+            trackNameIdx: indexOf(roles.trackName),
+            releaseDateIdx: indexOf(roles.releaseDate),
+            // Built-in features read these columns directly; extra numeric columns become column features
+            numericColumns: [
+                ...['danceability', 'energy', 'valence', 'acousticness']
+                    .map(key => ({ key, header: roles[key], index: indexOf(roles[key]) })),
+                ...(roles.extra || []).map(header => ({ key: null, header, index: headers.indexOf(header) }))
+            ]
+        };
+
+        this.data = [];
+        this.tracks = new Set();
+        this.dates = new Set();
+        this.trackMetadata = new Map();
+        this.parseReport = {
+            totalRows: 0,
+            acceptedRows: 0,
+            rejectedCount: 0,
+            coercedCount: 0,
+            rejected: [],
+            coerced: [],
+            delimiter: null
+        };
+    }
+
+    addRow(values, { line, errors = [] }) {
+        const { headers, dateIdx, trackIdx, streamsIdx, artistIdx, trackNameIdx, releaseDateIdx, numericColumns } = this.parseState;
+        const report = this.parseReport;
+        report.totalRows++;
+
+        if (errors.length > 0) {
+            this.rejectRow(line, errors.join('; '), values);
+            return;
+        }
+        if (values.length <= Math.max(dateIdx, trackIdx, streamsIdx)) {
+            this.rejectRow(line, `Expected ${headers.length} fields, found ${values.length}`, values);
+            return;
+        }
+
+        const date = values[dateIdx];
+        const trackId = values[trackIdx];
+        if (!date || !trackId) {
+            this.rejectRow(line, `Missing ${!date ? 'date' : 'track ID'}`, values);
+            return;
+        }
+
+        const streams = this.parseNumber(values[streamsIdx]);
+        if (Number.isNaN(streams)) {
+            this.rejectRow(line, `Invalid streams value "${values[streamsIdx] ?? ''}"`, values);
+            return;
+        }
+
+        const entry = {
+            date: date,
+            track_id: trackId,
+            streams: streams,
+            danceability: 0,
+            energy: 0,
+            valence: 0,
+            acousticness: 0,
+            artist: artistIdx >= 0 ? (values[artistIdx] || '') : '',
+            track_name: trackNameIdx >= 0 ? (values[trackNameIdx] || '') : '',
+            release_date: releaseDateIdx >= 0 ? (values[releaseDateIdx] || '') : '',
+            columns: {},
+            line: line
+        };
+
+        numericColumns.forEach(({ key, header, index }) => {
+            if (index < 0) return;
+            const raw = values[index];
+            let value = this.parseNumber(raw);
+            if (Number.isNaN(value)) {
+                this.coerceValue(line, header, raw, raw === undefined || raw === '' ? 'Missing value' : 'Not a number');
+                value = 0;
+            }
+            if (key) {
+                entry[key] = value;
             } else {
-                current += char;
+                entry.columns[header] = value;
             }
+        });
+
+        report.acceptedRows++;
+        this.data.push(entry);
+        this.tracks.add(entry.track_id);
+        this.dates.add(entry.date);
+    }
+
+    finishRows(delimiter) {
+        const { headers, streamsIdx, numericColumns } = this.parseState;
+        this.parseReport.delimiter = delimiter;
+        this.parseState = null;
+
+        this.normalizeDates();
+
+        if (this.data.length === 0) {
+            throw new Error(`No valid rows found (${this.parseReport.rejectedCount} rejected)`);
+        }
+        if (this.parseReport.rejectedCount > 0 || this.parseReport.coercedCount > 0) {
+            console.warn(`CSV parse: ${this.parseReport.rejectedCount} rows rejected, ${this.parseReport.coercedCount} values coerced`);
         }
-        result.push(current.trim().replace(/"/g, ''));
-        return result;
+
+        this.columnMapping = [
+            { column: headers[streamsIdx], feature: 'streams' },
+            ...numericColumns
+                .filter(({ index }) => index >= 0)
+                .map(({ key, header }) => ({ column: header, feature: key || `column:${header}` }))
+        ];
+        this.registerColumnFeatures(numericColumns.filter(({ key, index }) => !key && index >= 0));
+
+        this.rawData = this.data;
+        this.applyTrackSelection();
     }
 
-    engineerFeatures() {
-        this.selectedTracks.forEach(trackId => {
-            const trackData = this.data.filter(d => d.track_id === trackId).sort((a, b) => a.date.localeCompare(b.date));
-            
-            // Simple momentum features
-            for (let i = 1; i < trackData.length; i++) {
-                trackData[i].streams_momentum = trackData[i].streams - trackData[i-1].streams;
+    // Rewrites every date as ISO YYYY-MM-DD so string order is calendar order; unparseable dates are rejected
+    normalizeDates() {
+        const format = this.dateFormat === 'auto'
+            ? this.detectDateFormat(Array.from(this.dates))
+            : this.dateFormat;
+        this.parseReport.dateFormat = format;
+
+        const valid = [];
+        this.data.forEach(entry => {
+            const isoDate = this.parseDate(entry.date, format);
+            if (isoDate) {
+                entry.date = isoDate;
+                valid.push(entry);
+            } else {
+                this.parseReport.acceptedRows--;
+                this.rejectRow(entry.line, `Unrecognized date "${entry.date}"`, [entry.date, entry.track_id, entry.streams]);
             }
-            
-            // Simple moving average
-            for (let i = 2; i < trackData.length; i++) {
-                trackData[i].streams_ma3 = (trackData[i].streams + trackData[i-1].streams + trackData[i-2].streams) / 3;
+        });
+
+        this.data = valid;
+        this.tracks = new Set(valid.map(entry => entry.track_id));
+        this.dates = new Set(valid.map(entry => entry.date));
+    }
+
+    // Numeric dates with a day above 12 decide between day-first and month-first
+    detectDateFormat(values) {
+        let dayFirst = false;
+        let monthFirst = false;
+        values.forEach(value => {
+            const match = String(value).trim().match(/^(\d{1,2})[-/.](\d{1,2})[-/.]\d{2,4}$/);
+            if (match) {
+                if (Number(match[1]) > 12) dayFirst = true;
+                if (Number(match[2]) > 12) monthFirst = true;
             }
-            
-            // Fill initial values
-            trackData[0].streams_momentum = 0;
-            trackData[0].streams_ma3 = trackData[0].streams;
-            
-            if (trackData[1]) {
-                trackData[1].streams_ma3 = (trackData[1].streams + trackData[0].streams) / 2;
+        });
+        if (dayFirst && monthFirst) {
+            console.warn('Dates mix day-first and month-first orders; assuming month-first');
+        }
+        return dayFirst && !monthFirst ? 'dmy' : 'mdy';
+    }
+
+    parseDate(value, format = 'mdy') {
+        const text = String(value).trim();
+        let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/);
+        if (match) {
+            return this.toISODate(Number(match[1]), Number(match[2]), Number(match[3]));
+        }
+
+        match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+        if (match) {
+            return this.toISODate(Number(match[1]), Number(match[2]), Number(match[3]));
+        }
+
+        match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})$/);
+        if (match) {
+            const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+            return format === 'dmy'
+                ? this.toISODate(year, Number(match[2]), Number(match[1]))
+                : this.toISODate(year, Number(match[1]), Number(match[2]));
+        }
+
+        // Written-out months such as "Jan 5, 2023" or "5 January 2023"
+        if (/[a-z]/i.test(text)) {
+            const parsed = new Date(text);
+            if (!Number.isNaN(parsed.getTime())) {
+                return this.toISODate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
             }
+        }
+        return null;
+    }
+
+    toISODate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return date.toISOString().slice(0, 10);
+    }
+
+    addDays(isoDate, days) {
+        const date = new Date(`${isoDate}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    daysBetween(startDate, endDate) {
+        return Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / 86400000);
+    }
+
+    buildCalendar(startDate, endDate) {
+        const calendar = [];
+        for (let date = startDate; date <= endDate; date = this.addDays(date, 1)) {
+            calendar.push(date);
+        }
+        return calendar;
+    }
+
+    // Fills every calendar day a selected track is missing. Gaps inside its observed span are
+    // filled by the chosen strategy; days before its first or after its last appearance hold
+    // the nearest observation, so one late-entering or early-leaving track doesn't drop the
+    // windows of every other track. Those edge days are imputed too (observed_mask 0).
+    // Imputed days only ever feed the input windows: createTarget leaves them out of the targets.
+    // 'linear' reads the observation after each gap, so a window ending inside a gap sees a
+    // value from after its reference day; forward fill is the strategy without look-ahead.
+    imputeMissingDays() {
+        const observedDates = Array.from(new Set(this.data.map(entry => entry.date))).sort();
+        const calendar = this.buildCalendar(observedDates[0], observedDates[observedDates.length - 1]);
+        const observed = new Set(observedDates);
+
+        this.gapReport = {
+            calendarDays: calendar.length,
+            missingDates: calendar.filter(date => !observed.has(date)),
+            missingByTrack: {},
+            imputedEntries: 0,
+            strategy: this.imputation
+        };
+
+        const imputed = [];
+        this.groupByTrack(this.data).forEach((trackData, trackId) => {
+            const first = trackData[0];
+            const last = trackData[trackData.length - 1];
+            this.gapReport.missingByTrack[trackId] = calendar.length - new Set(trackData.map(d => d.date)).size;
+
+            if (this.imputation === 'none') return;
+
+            calendar.filter(date => date < first.date || date > last.date).forEach(date => {
+                const nearest = date < first.date ? first : last;
+                imputed.push(this.createImputedEntry(nearest, nearest, 0, date));
+            });
+
+            for (let i = 1; i < trackData.length; i++) {
+                const previous = trackData[i - 1];
+                const next = trackData[i];
+                const gapDays = this.daysBetween(previous.date, next.date);
+
+                for (let step = 1; step < gapDays; step++) {
+                    imputed.push(this.createImputedEntry(previous, next, step / gapDays, this.addDays(previous.date, step)));
+                }
+            }
+        });
+        imputed.forEach(entry => this.data.push(entry));
+        this.gapReport.imputedEntries = imputed.length;
+
+        // Without imputation only observed dates are windowed, as before; otherwise every calendar day is
+        this.dates = new Set(this.imputation === 'none' ? observedDates : calendar);
+    }
+
+    createImputedEntry(previous, next, fraction, date) {
+        const interpolate = (a, b) => (this.imputation === 'linear' ? a + (b - a) * fraction : a);
+        const columns = {};
+        Object.keys(previous.columns).forEach(header => {
+            columns[header] = interpolate(previous.columns[header], next.columns[header] ?? previous.columns[header]);
+        });
+
+        return {
+            ...previous,
+            date: date,
+            streams: interpolate(previous.streams, next.streams),
+            danceability: interpolate(previous.danceability, next.danceability),
+            energy: interpolate(previous.energy, next.energy),
+            valence: interpolate(previous.valence, next.valence),
+            acousticness: interpolate(previous.acousticness, next.acousticness),
+            columns: columns,
+            line: null,
+            imputed: true
+        };
+    }
+
+    // Strict number parsing: thousands separators are accepted, anything else non-numeric is NaN
+    parseNumber(value) {
+        if (value === undefined || value === null) return NaN;
+        let text = String(value).trim().replace(/\s/g, '');
+        if (text === '') return NaN;
+
+        if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+            text = text.replace(/,/g, '');
+        } else if (/^-?\d+,\d+$/.test(text)) {
+            // Decimal comma, as written by semicolon-delimited exports
+            text = text.replace(',', '.');
+        }
+
+        const number = Number(text);
+        return Number.isFinite(number) ? number : NaN;
+    }
+
+    rejectRow(line, reason, values) {
+        this.parseReport.rejectedCount++;
+        if (this.parseReport.rejected.length < DataLoader.MAX_REPORT_ENTRIES) {
+            this.parseReport.rejected.push({ line, reason, values });
+        }
+    }
+
+    coerceValue(line, column, value, reason) {
+        this.parseReport.coercedCount++;
+        if (this.parseReport.coerced.length < DataLoader.MAX_REPORT_ENTRIES) {
+            this.parseReport.coerced.push({ line, column, value: value ?? '', reason });
+        }
+    }
+
+    getParseReportCSV() {
+        const report = this.parseReport;
+        if (!report) return '';
+
+        const rows = [['line', 'action', 'column', 'value', 'reason']];
+        report.rejected.forEach(({ line, reason, values }) => {
+            rows.push([line, 'rejected', '', values.join(report.delimiter || ','), reason]);
+        });
+        report.coerced.forEach(({ line, column, value, reason }) => {
+            rows.push([line, 'coerced to 0', column, value, reason]);
+        });
+        return rows.map(row => CSVParser.formatRow(row)).join('\r\n');
+    }
+
+    applyTrackSelection() {
+        if (!this.rawData) {
+            throw new Error('No data loaded');
+        }
+
+        this.data = this.rawData.map(entry => ({ ...entry }));
+        const { mode, count, trackIds, pattern } = this.trackSelection;
+
+        if (mode === 'ids') {
+            this.selectTracksByIds(trackIds);
+        } else if (mode === 'pattern') {
+            this.selectTracksByPattern(pattern);
+        } else {
+            this.selectTopTracks(count);
+        }
+
+        if (this.selectedTracks.length === 0) {
+            throw new Error('Track selection matched no tracks in the data');
+        }
+
+        this.imputeMissingDays();
+        this.indexData();
+        this.engineerFeatures();
+        return this.selectedTracks;
+    }
+
+    detectNumericColumns(headers, sampleRows, reserved) {
+        return headers
+            .map((header, index) => ({ header, index }))
+            .filter(({ header, index }) => {
+                if (reserved.has(index) || !header) return false;
+                const present = sampleRows.map(values => values[index]).filter(v => v !== undefined && v !== '');
+                const numeric = present.filter(v => !Number.isNaN(this.parseNumber(v)));
+                return present.length > 0 && numeric.length / present.length >= 0.9;
+            });
+    }
+
+    registerColumnFeatures(extraColumns) {
+        // Drop column features left over from a previously loaded file
+        this.featureRegistry.list()
+            .filter(feature => feature.key.startsWith('column:'))
+            .forEach(feature => this.featureRegistry.unregister(feature.key));
+
+        extraColumns.forEach(({ header }) => {
+            this.featureRegistry.register({
+                key: `column:${header}`,
+                name: header,
+                description: `Numeric CSV column "${header}"`,
+                compute: (rows, i) => rows[i].columns[header] || 0
+            });
+        });
+
+        const available = this.activeFeatures.filter(key => this.featureRegistry.has(key));
+        if (available.length !== this.activeFeatures.length) {
+            console.warn('Dropped features whose columns are missing from this file:',
+                this.activeFeatures.filter(key => !available.includes(key)).join(', '));
+            this.setActiveFeatures(available.length > 0 ? available : ['streams']);
+        }
+    }
+
+    // Which CSV column feeds each active feature
+    getColumnMapping() {
+        return this.columnMapping
+            .filter(({ feature }) => this.activeFeatures.includes(feature))
+            .map(({ column, feature }) => ({ column, feature, name: this.featureRegistry.get(feature).name }));
+    }
+
+    getPreprocessingConfig() {
+        return {
+            columnRoles: this.columnRoles,
+            columnMapping: this.getColumnMapping(),
+            features: this.activeFeatures,
+            selectedTracks: this.selectedTracks,
+            windowSize: this.windowSize,
+            horizon: this.horizon,
+            targetMode: this.targetMode,
+            imputation: this.imputation,
+            dateFormat: this.dateFormat,
+            normalization: this.exportNormalization(),
+            splitConfig: this.splitConfig
+        };
+    }
+
+    // Date-sorted rows per track, in one pass over the data
+    groupByTrack(rows) {
+        const groups = new Map();
+        rows.forEach(entry => {
+            if (!groups.has(entry.track_id)) groups.set(entry.track_id, []);
+            groups.get(entry.track_id).push(entry);
+        });
+        groups.forEach(trackRows => trackRows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)));
+        return groups;
+    }
+
+    // (date, track) -> entry grid so window building is a lookup, not a scan. Row d, column j
+    // holds the entry of selectedTracks[j] on dates[d]; the first row wins for duplicates.
+    indexData() {
+        const dates = Array.from(this.dates).sort();
+        const dateIndex = new Map(dates.map((date, d) => [date, d]));
+        const trackCount = this.selectedTracks.length;
+        const grid = new Array(dates.length * trackCount).fill(null);
+        const trackRows = this.groupByTrack(this.data);
+
+        this.selectedTracks.forEach((trackId, j) => {
+            (trackRows.get(trackId) || []).forEach(entry => {
+                const d = dateIndex.get(entry.date);
+                if (d !== undefined && !grid[d * trackCount + j]) {
+                    grid[d * trackCount + j] = entry;
+                }
+            });
+        });
+
+        this.index = { dates, dateIndex, grid, trackRows };
+    }
+
+    engineerFeatures() {
+        const features = this.getActiveFeatures();
+
+        this.selectedTracks.forEach(trackId => {
+            const trackData = this.index.trackRows.get(trackId) || [];
+
+            // Compute into a buffer first so features that read raw columns see unmodified rows
+            const values = trackData.map((_, i) => features.map(feature => feature.compute(trackData, i)));
+            trackData.forEach((entry, i) => {
+                features.forEach((feature, f) => {
+                    entry[feature.key] = values[i][f];
+                });
+            });
         });
     }
 
     selectTopTracks(n) {
+        const trackStreams = this.computeTrackStreams();
+
+        const sortedTracks = Array.from(trackStreams.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, n)
+            .map(entry => entry[0]);
+
+        this.setSelectedTracks(sortedTracks, trackStreams);
+    }
+
+    selectTracksByIds(trackIds) {
+        const trackStreams = this.computeTrackStreams();
+        const missing = trackIds.filter(id => !trackStreams.has(id));
+        if (missing.length > 0) {
+            console.warn(`Tracks not found in data: ${missing.join(', ')}`);
+        }
+
+        const uniqueIds = Array.from(new Set(trackIds)).filter(id => trackStreams.has(id));
+        this.setSelectedTracks(uniqueIds, trackStreams);
+    }
+
+    selectTracksByPattern(pattern) {
+        let regex;
+        try {
+            regex = new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`Invalid track pattern: ${error.message}`);
+        }
+
+        const trackStreams = this.computeTrackStreams();
+        const matching = new Set();
+        this.data.forEach(entry => {
+            const info = this.getTrackInfo(entry.track_id, entry);
+            if (regex.test(entry.track_id) || (info.name && regex.test(info.name)) || (info.artist && regex.test(info.artist))) {
+                matching.add(entry.track_id);
+            }
+        });
+
+        // Keep the most-streamed matches first so output order is stable
+        const sortedTracks = Array.from(matching)
+            .sort((a, b) => trackStreams.get(b) - trackStreams.get(a));
+        this.setSelectedTracks(sortedTracks, trackStreams);
+    }
+
+    computeTrackStreams() {
         const trackStreams = new Map();
-        
         this.data.forEach(entry => {
             const current = trackStreams.get(entry.track_id) || 0;
             trackStreams.set(entry.track_id, current + entry.streams);
         });
+        return trackStreams;
+    }
 
-        const sortedTracks = Array.from(trackStreams.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, n)
-            .map(entry => entry[0]);
+    setSelectedTracks(trackIds, trackStreams) {
+        this.selectedTracks = trackIds;
+        const selected = new Set(trackIds);
+        this.data = this.data.filter(entry => selected.has(entry.track_id));
+        this.trackMetadata = new Map();
 
-        this.selectedTracks = sortedTracks;
-        this.data = this.data.filter(entry => this.selectedTracks.includes(entry.track_id));
+        // Use the first row that actually carries the descriptive columns
+        const describingRows = new Map();
+        this.data.forEach(entry => {
+            const current = describingRows.get(entry.track_id);
+            if (!current || (!(current.track_name || current.artist) && (entry.track_name || entry.artist))) {
+                describingRows.set(entry.track_id, entry);
+            }
+        });
 
         this.selectedTracks.forEach(trackId => {
-            const trackData = this.data.find(d => d.track_id === trackId);
+            const trackData = describingRows.get(trackId);
             if (trackData) {
                 this.trackMetadata.set(trackId, {
                     id: trackId,
-                    name: trackId,
+                    ...this.getTrackInfo(trackId, trackData),
                     totalStreams: trackStreams.get(trackId)
                 });
             }
         });
     }
 
-    normalizeFeatures() {
-        this.normalizationParams = new Map();
-        const sortedDates = Array.from(this.dates).sort();
-        const splitIndex = Math.floor(sortedDates.length * 0.8);
-        const trainingDates = new Set(sortedDates.slice(0, splitIndex));
-        
-        this.selectedTracks.forEach(trackId => {
-            const trackData = this.data.filter(d => d.track_id === trackId && trainingDates.has(d.date));
-            
-            // SIMPLIFIED: Only use key features
-            const features = ['streams', 'danceability', 'energy', 'streams_momentum', 'streams_ma3'];
-            const params = {};
-            
-            features.forEach(feature => {
-                const values = trackData.map(d => d[feature]).filter(v => !isNaN(v));
-                if (values.length > 0) {
-                    const min = Math.min(...values);
-                    const max = Math.max(...values);
-                    params[feature] = { min, max };
-                } else {
-                    params[feature] = { min: 0, max: 1 };
-                }
+    // Name, artist and release date for a track; a loaded metadata file wins over chart columns
+    getTrackInfo(trackId, entry = {}) {
+        const external = this.externalMetadata.get(trackId) || {};
+        return {
+            name: external.name || entry.track_name || trackId,
+            artist: external.artist || entry.artist || '',
+            releaseDate: external.releaseDate || entry.release_date || ''
+        };
+    }
+
+    async loadMetadataCSV(file) {
+        const { rows } = CSVParser.parse(await file.text());
+        if (rows.length < 2) {
+            throw new Error('Metadata file has no rows');
+        }
+
+        const headers = rows[0].fields;
+        const roles = this.guessColumnRoles(headers, rows.slice(1, 201).map(row => row.fields));
+        if (!roles.track) {
+            throw new Error('Metadata file needs a track ID column');
+        }
+        if (!roles.trackName && !roles.artist && !roles.releaseDate) {
+            throw new Error('Metadata file needs a track name, artist or release date column');
+        }
+
+        const indexOf = header => (header ? headers.indexOf(header) : -1);
+        const trackIdx = indexOf(roles.track);
+        const nameIdx = indexOf(roles.trackName);
+        const artistIdx = indexOf(roles.artist);
+        const releaseIdx = indexOf(roles.releaseDate);
+
+        this.externalMetadata = new Map();
+        rows.slice(1).forEach(({ fields }) => {
+            const trackId = fields[trackIdx];
+            if (!trackId) return;
+            this.externalMetadata.set(trackId, {
+                name: nameIdx >= 0 ? fields[nameIdx] || '' : '',
+                artist: artistIdx >= 0 ? fields[artistIdx] || '' : '',
+                releaseDate: releaseIdx >= 0 ? fields[releaseIdx] || '' : ''
             });
-            
-            this.normalizationParams.set(trackId, params);
         });
 
+        this.applyExternalMetadata();
+        return this.externalMetadata;
+    }
+
+    // Refreshes already-selected tracks in place so existing trainingData sees the new names
+    applyExternalMetadata() {
+        this.trackMetadata.forEach((metadata, trackId) => {
+            const entry = { track_name: metadata.name !== trackId ? metadata.name : '', artist: metadata.artist, release_date: metadata.releaseDate };
+            Object.assign(metadata, this.getTrackInfo(trackId, entry));
+        });
+    }
+
+    // Fits on the first fitDateCount dates only, then transforms every entry.
+    // Fixed params from a previous export are applied as-is so new data sees the same transform.
+    normalizeFeatures(fitDateCount) {
+        const features = this.getActiveFeatures().filter(feature => feature.normalization !== 'none');
+        const normalization = this.fixedNormalization || this.fitNormalization(features, fitDateCount);
+        this.normalizationParams = this.normalizationParamsByTrack(normalization, features);
+        this.fittedNormalization = normalization;
+
+        const activeFeatures = this.getActiveFeatures();
         this.data.forEach(entry => {
             const params = this.normalizationParams.get(entry.track_id);
-            if (params) {
-                // Core features only
-                entry.streams_normalized = this.minMaxNormalize(entry.streams, params.streams);
-                entry.danceability_normalized = this.minMaxNormalize(entry.danceability, params.danceability);
-                entry.energy_normalized = this.minMaxNormalize(entry.energy, params.energy);
-                entry.streams_momentum_normalized = this.minMaxNormalize(entry.streams_momentum || 0, params.streams_momentum);
-                entry.streams_ma3_normalized = this.minMaxNormalize(entry.streams_ma3 || entry.streams, params.streams_ma3);
-            } else {
-                // Fallback
-                entry.streams_normalized = 0.5;
-                entry.danceability_normalized = 0.5;
-                entry.energy_normalized = 0.5;
-                entry.streams_momentum_normalized = 0.5;
-                entry.streams_ma3_normalized = 0.5;
+            activeFeatures.forEach(feature => {
+                const value = entry[feature.key] || 0;
+                entry[`${feature.key}_normalized`] = feature.normalization === 'none'
+                    ? value
+                    : this.applyNormalizer(value, params[feature.key], normalization.method);
+            });
+        });
+    }
+
+    fitNormalization(features, fitDateCount) {
+        const { method, scope } = this.normalization;
+        const trainingDates = new Set(this.index.dates.slice(0, fitDateCount));
+        const trainingData = this.data.filter(d => trainingDates.has(d.date));
+
+        const fitGroup = rows => {
+            const params = {};
+            features.forEach(feature => {
+                params[feature.key] = this.fitNormalizer(rows.map(d => d[feature.key]).filter(v => Number.isFinite(v)), method);
+            });
+            return params;
+        };
+
+        if (scope === 'global') {
+            return { method, scope, params: fitGroup(trainingData) };
+        }
+
+        const params = {};
+        const trainingRows = this.groupByTrack(trainingData);
+        this.selectedTracks.forEach(trackId => {
+            params[trackId] = fitGroup(trainingRows.get(trackId) || []);
+        });
+        return { method, scope, params };
+    }
+
+    normalizationParamsByTrack({ scope, params }, features) {
+        const byTrack = new Map();
+        this.selectedTracks.forEach(trackId => {
+            const trackParams = scope === 'global' ? params : params[trackId];
+            if (!trackParams) {
+                throw new Error(`No normalization parameters for track ${trackId}; per-track parameters only cover the tracks they were fitted on`);
+            }
+            const missing = features.filter(feature => !trackParams[feature.key]);
+            if (missing.length > 0) {
+                throw new Error(`No normalization parameters for feature(s): ${missing.map(feature => feature.key).join(', ')}`);
             }
+            byTrack.set(trackId, trackParams);
         });
+        return byTrack;
+    }
+
+    // log_zscore uses a signed log1p so negative features such as momentum stay ordered
+    static signedLog1p(value) {
+        return Math.sign(value) * Math.log1p(Math.abs(value));
+    }
+
+    fitNormalizer(values, method) {
+        if (method === 'log_zscore') {
+            return this.fitNormalizer(values.map(DataLoader.signedLog1p), 'zscore');
+        }
+        if (values.length === 0) {
+            return method === 'minmax' ? { min: 0, max: 1 } : method === 'robust' ? { median: 0, iqr: 1 } : { mean: 0, std: 1 };
+        }
+
+        if (method === 'minmax') {
+            // A loop rather than Math.min(...values), which overflows the call stack on large datasets
+            let min = Infinity;
+            let max = -Infinity;
+            values.forEach(v => {
+                if (v < min) min = v;
+                if (v > max) max = v;
+            });
+            return { min, max };
+        }
+        if (method === 'robust') {
+            const sorted = [...values].sort((a, b) => a - b);
+            return {
+                median: this.quantile(sorted, 0.5),
+                iqr: this.quantile(sorted, 0.75) - this.quantile(sorted, 0.25)
+            };
+        }
+
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+        return { mean, std };
+    }
+
+    // Linear interpolation between order statistics of an ascending array
+    quantile(sorted, q) {
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    applyNormalizer(value, params, method) {
+        if (method === 'minmax') {
+            return this.minMaxNormalize(value, params);
+        }
+        if (method === 'robust') {
+            return (value - params.median) / this.safeScale(params.iqr, params.median);
+        }
+        const x = method === 'log_zscore' ? DataLoader.signedLog1p(value) : value;
+        return (x - params.mean) / this.safeScale(params.std, params.mean);
     }
 
     minMaxNormalize(value, params) {
-        if (params && params.max > params.min) {
-            return (value - params.min) / (params.max - params.min);
+        return (value - params.min) / this.safeScale(params.max - params.min, params.min);
+    }
+
+    // A feature that was constant in training has no spread to scale by; measuring later
+    // deviations relative to its level keeps them visible instead of flattening to a constant
+    safeScale(scale, level) {
+        return scale > 0 ? scale : Math.abs(level) || 1;
+    }
+
+    // Params are only known once windows have been built
+    exportNormalization() {
+        return this.fittedNormalization || { ...this.normalization, params: null };
+    }
+
+    // Reuses params exported from an earlier run; pass null to fit on the loaded data again
+    importNormalization(exported) {
+        if (exported && (!DataLoader.normalizationMethods().includes(exported.method) || !exported.params)) {
+            throw new Error('Invalid normalization parameters');
         }
-        return 0.5;
+        this.fixedNormalization = exported || null;
+        if (exported) {
+            this.normalization = { method: exported.method, scope: exported.scope };
+        }
+    }
+
+    // Regression target scaling from a saved model; pass null to fit on the loaded data again
+    importTargetParams(params) {
+        if (params && (!Array.isArray(params) || params.some(p => !Number.isFinite(p.mean) || !(p.std > 0)))) {
+            throw new Error('Invalid target scaling parameters');
+        }
+        this.fixedTargetParams = params || null;
     }
 
     createSlidingWindows() {
-        this.normalizeFeatures();
-        
-        const sortedDates = Array.from(this.dates).sort();
-        const samples = [];
+        this.windows = this.collectWindows();
+        this.buildSplits(this.getSplitRanges(this.windows.ends.length));
+    }
+
+    // Every window with a complete target: its end index into index.dates, raw targets and reference-day streams
+    collectWindows() {
+        const { dates } = this.index;
+        const windowSize = this.windowSize;
+        const ends = [];
         const targets = [];
-        const windowSize = 7;
-
-        for (let i = windowSize; i < sortedDates.length - 3; i++) {
-            const currentDate = sortedDates[i];
-            const windowDates = sortedDates.slice(i - windowSize, i);
-            
-            const sample = this.createSample(windowDates);
-            if (sample) {
-                const target = this.createTarget(currentDate);
-                if (target && target.length === this.selectedTracks.length * 3) {
-                    samples.push(sample);
-                    targets.push(target);
-                }
+        const baseStreams = [];
+        let excludedTargets = 0;
+
+        for (let i = windowSize; i < dates.length - this.horizon; i++) {
+            const target = this.createTarget(i);
+            if (target) {
+                ends.push(i);
+                targets.push(target);
+                baseStreams.push(this.getStreamsOnDate(i));
+                excludedTargets += target.filter(value => Number.isNaN(Array.isArray(value) ? value[0] : value)).length;
             }
         }
+        this.gapReport.excludedTargets = excludedTargets;
+
+        if (ends.length === 0 && dates.length > windowSize + this.horizon && this.imputation !== 'none') {
+            throw new Error('No usable windows: every target day is imputed, so there is nothing observed to learn from. Skip missing days instead so windows step over observed dates.');
+        }
+        if (ends.length === 0 && dates.length > windowSize + this.horizon) {
+            throw new Error('No complete windows: every forecast day is missing at least one selected track. Choose a missing-day strategy other than skipping.');
+        }
+        if (ends.length === 0) {
+            throw new Error(`No complete windows: ${dates.length} dates is too few for a ${windowSize}-day window and ${this.horizon}-day horizon`);
+        }
 
-        this.splitData(samples, targets);
+        return { ends, targets, baseStreams };
     }
 
-    createSample(windowDates) {
-        const sample = [];
-        
-        for (const date of windowDates) {
-            const dayFeatures = [];
-            
-            for (const trackId of this.selectedTracks) {
-                const entry = this.data.find(d => d.date === date && d.track_id === trackId);
-                if (entry) {
-                    // SIMPLIFIED: Only 5 features per track instead of 9
-                    dayFeatures.push(
-                        entry.streams_normalized || 0,
-                        entry.danceability_normalized || 0,
-                        entry.energy_normalized || 0,
-                        entry.streams_momentum_normalized || 0,
-                        entry.streams_ma3_normalized || 0
-                    );
-                } else {
-                    dayFeatures.push(0, 0, 0, 0, 0);
-                }
+    // Chronological sample boundaries: [0, trainEnd) trains, [trainEnd, validationEnd) drives
+    // early stopping and [validationEnd, testEnd) is only used for the reported scores
+    getSplitRanges(count) {
+        const { trainRatio, validationRatio } = this.splitConfig;
+        return {
+            trainEnd: Math.floor(count * trainRatio),
+            validationEnd: Math.floor(count * (trainRatio + validationRatio)),
+            testEnd: count
+        };
+    }
+
+    // Expanding-window folds: the last fold is the regular split, each earlier one moves the
+    // origin back by one test block and trains on everything before it
+    getWalkForwardRanges(folds) {
+        if (!Number.isInteger(folds) || folds < 2) {
+            throw new Error('Walk-forward validation needs at least 2 folds');
+        }
+
+        const count = this.windows.ends.length;
+        const { trainEnd, validationEnd, testEnd } = this.getSplitRanges(count);
+        const validationSize = validationEnd - trainEnd;
+        const testSize = testEnd - validationEnd;
+
+        const ranges = [];
+        for (let k = folds - 1; k >= 0; k--) {
+            const end = testEnd - k * testSize;
+            ranges.push({ trainEnd: end - testSize - validationSize, validationEnd: end - testSize, testEnd: end });
+        }
+
+        if (ranges[0].trainEnd < Math.max(2, testSize)) {
+            throw new Error(`Not enough windows for ${folds} walk-forward folds: ${count} windows with test blocks of ${testSize}`);
+        }
+        return ranges;
+    }
+
+    buildSplits({ trainEnd, validationEnd, testEnd }) {
+        const { ends, targets, baseStreams } = this.windows;
+        const { dates } = this.index;
+
+        if (trainEnd < 1 || validationEnd <= trainEnd || testEnd <= validationEnd) {
+            throw new Error(`Not enough complete windows to split into training, validation and test sets (${ends.length} samples)`);
+        }
+
+        // Scaling is fitted on the days the training windows read, never on validation or test days
+        this.normalizeFeatures(ends[trainEnd - 1]);
+
+        // Consecutive dates are consecutive rows of the matrix, so each window is one contiguous copy
+        const windowSize = this.windowSize;
+        const stepSize = this.featuresPerTrack * this.selectedTracks.length;
+        const featureMatrix = this.buildFeatureMatrix();
+        const sampleSize = windowSize * stepSize;
+        const samples = new Float32Array(testEnd * sampleSize);
+        ends.slice(0, testEnd).forEach((end, n) => {
+            samples.set(featureMatrix.subarray((end - windowSize) * stepSize, end * stepSize), n * sampleSize);
+        });
+
+        this.splitData(
+            samples,
+            targets.slice(0, testEnd),
+            ends.slice(0, testEnd).map(end => dates[end]),
+            baseStreams.slice(0, testEnd),
+            { trainEnd, validationEnd }
+        );
+
+        const forecasts = ends.slice(validationEnd, testEnd).map(end => this.createBaselineForecast(end));
+        this.testBaselines = {
+            reference: forecasts.map(f => f.reference),
+            persistence: forecasts.map(f => f.persistence),
+            moving_average: forecasts.map(f => f.movingAverage)
+        };
+
+        this.buildForecastWindow(featureMatrix);
+    }
+
+    // The newest date is the reference day and the window is the days before it, exactly like a
+    // training sample whose target days have not happened yet. With imputation every step is a
+    // calendar day; without it a step is the next observed date, so forecast dates advance by the
+    // most common spacing between observed dates and irregularSpacing flags that this is a guess.
+    buildForecastWindow(featureMatrix) {
+        const { dates } = this.index;
+        const end = dates.length - 1;
+        const stepSize = this.featuresPerTrack * this.selectedTracks.length;
+
+        this.X_forecast = tf.tensor3d(
+            featureMatrix.slice((end - this.windowSize) * stepSize, end * stepSize),
+            [1, this.windowSize, stepSize]
+        );
+        const spacings = dates.slice(1).map((date, i) => this.daysBetween(dates[i], date));
+        const stepDays = this.getMostCommonSpacing(spacings);
+        this.forecastInfo = {
+            referenceDate: dates[end],
+            dates: Array.from({ length: this.horizon }, (_, offset) => this.addDays(dates[end], (offset + 1) * stepDays)),
+            stepDays: stepDays,
+            irregularSpacing: spacings.some(days => days !== stepDays),
+            baseStreams: this.getStreamsOnDate(end)
+        };
+    }
+
+    getMostCommonSpacing(spacings) {
+        const counts = new Map();
+        spacings.forEach(days => counts.set(days, (counts.get(days) || 0) + 1));
+        const [days] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0] - b[0])[0] || [1];
+        return days;
+    }
+
+    // Naive stream forecasts for every target, using only what the model sees: the input
+    // window. Both rules extrapolate from the window's last observed day.
+    createBaselineForecast(windowEnd) {
+        const { grid } = this.index;
+        const trackCount = this.selectedTracks.length;
+        const reference = [];
+        const persistence = [];
+        const movingAverage = [];
+
+        for (let j = 0; j < trackCount; j++) {
+            const observed = [];
+            for (let d = windowEnd - this.windowSize; d < windowEnd; d++) {
+                const entry = grid[d * trackCount + j];
+                if (entry) observed.push(entry.streams);
+            }
+
+            const n = observed.length;
+            const last = n > 0 ? observed[n - 1] : 0;
+            const lastChange = n > 1 ? last - observed[n - 2] : 0;
+            const mean = n > 0 ? observed.reduce((sum, v) => sum + v, 0) / n : 0;
+            // The window average sits (n - 1) / 2 days before the last observation
+            const trend = n > 1 ? (last - mean) / ((n - 1) / 2) : 0;
+            reference.push(last);
+
+            // Target day i + offset is offset + 1 days after the window's last day
+            for (let offset = 1; offset <= this.horizon; offset++) {
+                persistence.push(last + lastChange * (offset + 1));
+                movingAverage.push(last + trend * (offset + 1));
             }
-            
-            sample.push(dayFeatures);
         }
 
-        return sample.length === windowDates.length ? sample : null;
+        return { reference, persistence, movingAverage };
+    }
+
+    // Baseline forecasts in the model's output space: class indices per target for
+    // classification, stream counts for regression
+    getBaselinePredictions() {
+        if (!this.testBaselines) return {};
+        const { reference } = this.testBaselines;
+        const toTargets = forecasts => forecasts.map((row, sample) => row.map((streams, col) => {
+            if (this.targetMode === 'regression') return streams;
+            const value = this.computeTargetValue(reference[sample][Math.floor(col / this.horizon)], streams);
+            return Array.isArray(value) ? value.indexOf(1) : value;
+        }));
+
+        return {
+            persistence: toTargets(this.testBaselines.persistence),
+            moving_average: toTargets(this.testBaselines.moving_average)
+        };
+    }
+
+    // One row per date of normalized features, tracks side by side; missing track-days stay 0
+    buildFeatureMatrix() {
+        const { dates, grid } = this.index;
+        const keys = this.getFeatureKeys().map(key => `${key}_normalized`);
+        const trackCount = this.selectedTracks.length;
+        const matrix = new Float32Array(dates.length * trackCount * keys.length);
+
+        grid.forEach((entry, cell) => {
+            if (!entry) return;
+            const offset = cell * keys.length;
+            keys.forEach((key, f) => {
+                matrix[offset + f] = entry[key] || 0;
+            });
+        });
+        return matrix;
+    }
+
+    getStreamsOnDate(dateIndex) {
+        const trackCount = this.selectedTracks.length;
+        return this.selectedTracks.map((_, j) => {
+            const entry = this.index.grid[dateIndex * trackCount + j];
+            return entry ? entry.streams : 0;
+        });
     }
 
-    createTarget(currentDate) {
+    // A target day compared with or taken from an imputed entry is not a real outcome, so it is
+    // NaN (every class NaN for multi-class); the loss and metrics skip NaN targets. Windows with
+    // no observed target day at all are dropped.
+    createTarget(dateIndex) {
         const target = [];
-        const sortedDates = Array.from(this.dates).sort();
-        const currentDateIndex = sortedDates.indexOf(currentDate);
-        
-        for (const trackId of this.selectedTracks) {
-            const currentEntry = this.data.find(d => d.date === currentDate && d.track_id === trackId);
+        const { grid, dates } = this.index;
+        const trackCount = this.selectedTracks.length;
+        if (dateIndex + this.horizon >= dates.length) return null;
+
+        let observedCount = 0;
+        for (let j = 0; j < trackCount; j++) {
+            const currentEntry = grid[dateIndex * trackCount + j];
             if (!currentEntry) return null;
 
-            const currentStreams = currentEntry.streams;
-            
-            for (let offset = 1; offset <= 3; offset++) {
-                const futureDate = sortedDates[currentDateIndex + offset];
-                const futureEntry = this.data.find(d => d.date === futureDate && d.track_id === trackId);
-                
-                if (futureEntry) {
-                    // BINARY TARGET: 1 if increase, 0 if decrease
-                    target.push(futureEntry.streams > currentStreams ? 1 : 0);
+            for (let offset = 1; offset <= this.horizon; offset++) {
+                const futureEntry = grid[(dateIndex + offset) * trackCount + j];
+                if (!futureEntry) return null;
+                if (currentEntry.imputed || futureEntry.imputed) {
+                    target.push(this.targetMode === 'multiclass' ? new Array(this.classThresholds.length + 1).fill(NaN) : NaN);
                 } else {
-                    return null;
+                    target.push(this.computeTargetValue(currentEntry.streams, futureEntry.streams));
+                    observedCount++;
                 }
             }
         }
 
-        return target;
+        return observedCount > 0 ? target : null;
+    }
+
+    computeTargetValue(currentStreams, futureStreams) {
+        if (this.targetMode === 'binary') {
+            // BINARY TARGET: 1 if increase, 0 if decrease
+            return futureStreams > currentStreams ? 1 : 0;
+        }
+
+        if (this.targetMode === 'multiclass') {
+            const change = currentStreams > 0
+                ? ((futureStreams - currentStreams) / currentStreams) * 100
+                : (futureStreams > 0 ? Infinity : 0);
+            const cls = this.classThresholds.filter(threshold => change >= threshold).length;
+            const oneHot = new Array(this.classThresholds.length + 1).fill(0);
+            oneHot[cls] = 1;
+            return oneHot;
+        }
+
+        switch (this.regressionTransform) {
+            case 'raw':
+                return futureStreams;
+            case 'log':
+                return Math.log1p(Math.max(futureStreams, 0));
+            case 'percent':
+                return currentStreams > 0 ? ((futureStreams - currentStreams) / currentStreams) * 100 : 0;
+            default:
+                throw new Error(`Unknown regression transform: ${this.regressionTransform}`);
+        }
+    }
+
+    fitTargetParams(targets) {
+        // Regression targets are standardized per column so raw counts don't swamp the loss
+        const columns = targets[0].length;
+        this.targetParams = [];
+
+        for (let col = 0; col < columns; col++) {
+            const values = targets.map(t => t[col]).filter(v => !Number.isNaN(v));
+            const mean = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+            const variance = values.length > 0 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length : 0;
+            this.targetParams.push({ mean, std: Math.sqrt(variance) || 1 });
+        }
+    }
+
+    standardizeTargets(targets) {
+        return targets.map(t => t.map((v, col) => (v - this.targetParams[col].mean) / this.targetParams[col].std));
+    }
+
+    denormalizeTargets(values) {
+        if (this.targetMode !== 'regression') return values;
+        return values.map(row => row.map((v, col) => v * this.targetParams[col].std + this.targetParams[col].mean));
+    }
+
+    // Converts denormalized regression values back to stream counts, given the
+    // streams on each sample's reference day (one value per track).
+    targetsToStreams(values, baseStreams) {
+        return values.map((row, sampleIdx) => row.map((v, col) => {
+            const base = baseStreams[sampleIdx][Math.floor(col / this.horizon)];
+            switch (this.regressionTransform) {
+                case 'raw':
+                    return v;
+                case 'log':
+                    return Math.expm1(v);
+                case 'percent':
+                    return base * (1 + v / 100);
+                default:
+                    return v;
+            }
+        }));
     }
 
-    splitData(samples, targets, trainRatio = 0.8) {
-        const splitIndex = Math.floor(samples.length * trainRatio);
+    // samples is a flat Float32Array of [sample][day][track * feature] values, one sample per target row
+    splitData(samples, targets, sampleDates, baseStreams, { trainEnd, validationEnd }) {
+        const sampleCount = targets.length;
+        const stepSize = this.featuresPerTrack * this.selectedTracks.length;
+        const sampleSize = this.windowSize * stepSize;
         
-        console.log(`Total samples: ${samples.length}`);
-        console.log(`Training samples: ${splitIndex}`);
-        console.log(`Test samples: ${samples.length - splitIndex}`);
-        console.log(`Features per track: 5, Total features: ${5 * this.selectedTracks.length}`);
+        console.log(`Total samples: ${sampleCount}`);
+        console.log(`Training samples: ${trainEnd}`);
+        console.log(`Validation samples: ${validationEnd - trainEnd}`);
+        console.log(`Test samples: ${sampleCount - validationEnd}`);
+        console.log(`Features per track: ${this.featuresPerTrack}, Total features: ${this.featuresPerTrack * this.selectedTracks.length}`);
         
-        this.X_train = tf.tensor3d(samples.slice(0, splitIndex));
-        this.y_train = tf.tensor2d(targets.slice(0, splitIndex));
-        this.X_test = tf.tensor3d(samples.slice(splitIndex));
-        this.y_test = tf.tensor2d(targets.slice(splitIndex));
+        this.targetParams = null;
+        if (this.targetMode === 'regression') {
+            if (this.fixedTargetParams) {
+                if (this.fixedTargetParams.length !== targets[0].length) {
+                    throw new Error(`Saved target scaling covers ${this.fixedTargetParams.length} targets but the data has ${targets[0].length}`);
+                }
+                this.targetParams = this.fixedTargetParams;
+            } else {
+                this.fitTargetParams(targets.slice(0, trainEnd));
+            }
+            targets = this.standardizeTargets(targets);
+        }
+
+        const features = (start, end) => tf.tensor3d(
+            samples.subarray(start * sampleSize, end * sampleSize),
+            [end - start, this.windowSize, stepSize]
+        );
+        
+        this.dispose();
+        this.X_train = features(0, trainEnd);
+        // Multi-class targets are one-hot per track-day, so y is [samples, targets, classes]
+        this.y_train = tf.tensor(targets.slice(0, trainEnd));
+        this.X_val = features(trainEnd, validationEnd);
+        this.y_val = tf.tensor(targets.slice(trainEnd, validationEnd));
+        this.X_test = features(validationEnd, sampleCount);
+        this.y_test = tf.tensor(targets.slice(validationEnd));
+        this.testDates = sampleDates.slice(validationEnd);
+        this.testBaseStreams = baseStreams.slice(validationEnd);
         
         this.logDataStatistics();
     }
 
     logDataStatistics() {
-        if (this.X_train && this.y_train) {
-            const trainPositives = this.y_train.sum().dataSync()[0];
-            const trainTotal = this.y_train.shape[0] * this.y_train.shape[1];
+        // Imputed target days are NaN; count observed ones only
+        const observed = tf.tidy(() => tf.where(tf.isNaN(this.y_train), tf.zerosLike(this.y_train), this.y_train));
+        if (this.targetMode === 'multiclass') {
+            const classCounts = tf.tidy(() => observed.sum([0, 1]).arraySync());
+            const total = classCounts.reduce((sum, c) => sum + c, 0);
+            this.getClassLabels().forEach((label, cls) => {
+                console.log(`Training set - ${label}: ${((classCounts[cls] / total) * 100).toFixed(2)}%`);
+            });
+        }
+        if (this.targetMode === 'binary') {
+            const trainPositives = tf.tidy(() => observed.sum().dataSync()[0]);
+            const trainTotal = tf.tidy(() => tf.isNaN(this.y_train).logicalNot().sum().dataSync()[0]);
             const trainPositiveRatio = (trainPositives / trainTotal) * 100;
             console.log(`Training set - Positive samples: ${trainPositiveRatio.toFixed(2)}%`);
         }
+        observed.dispose();
+    }
+
+    getShapeDescriptor() {
+        const trackCount = this.selectedTracks.length;
+        return {
+            windowSize: this.windowSize,
+            featuresPerTrack: this.featuresPerTrack,
+            featuresPerStep: this.featuresPerTrack * trackCount,
+            horizon: this.horizon,
+            trackCount: trackCount,
+            targets: this.horizon * trackCount,
+            targetMode: this.targetMode,
+            classCount: this.targetMode === 'multiclass' ? this.classThresholds.length + 1 : 1,
+            classLabels: this.getClassLabels(),
+            risingClasses: this.targetMode === 'multiclass' ? this.getRisingClasses() : [1]
+        };
+    }
+
+    getSettings() {
+        return {
+            trackSelection: this.trackSelection,
+            windowSize: this.windowSize,
+            horizon: this.horizon,
+            targetMode: this.targetMode,
+            regressionTransform: this.regressionTransform,
+            classThresholds: this.classThresholds,
+            imputation: this.imputation,
+            dateFormat: this.dateFormat,
+            normalization: this.normalization,
+            splitConfig: this.splitConfig,
+            fixedNormalization: this.fixedNormalization,
+            fixedTargetParams: this.fixedTargetParams,
+            features: this.activeFeatures
+        };
+    }
+
+    applySettings(settings) {
+        this.setTrackSelection(settings.trackSelection);
+        this.setWindowConfig(settings);
+        this.setTargetConfig(settings);
+        this.setGapConfig(settings);
+        this.setNormalizationConfig(settings.normalization);
+        this.setSplitConfig(settings.splitConfig);
+        this.importNormalization(settings.fixedNormalization);
+        this.importTargetParams(settings.fixedTargetParams);
+        this.setActiveFeatures(settings.features);
+    }
+
+    // Plain-data snapshot of a processed dataset, so results built in the worker can be
+    // posted to the page and restored there without the raw rows
+    async exportState() {
+        const tensors = {};
+        for (const name of ['X_train', 'y_train', 'X_val', 'y_val', 'X_test', 'y_test', 'X_forecast']) {
+            tensors[name] = { values: await this[name].data(), shape: this[name].shape };
+        }
+
+        return {
+            settings: this.getSettings(),
+            tensors: tensors,
+            selectedTracks: this.selectedTracks,
+            trackMetadata: this.trackMetadata,
+            columnRoles: this.columnRoles,
+            columnMapping: this.columnMapping,
+            parseReport: this.parseReport,
+            gapReport: this.gapReport,
+            fittedNormalization: this.fittedNormalization,
+            targetParams: this.targetParams,
+            testDates: this.testDates,
+            testBaseStreams: this.testBaseStreams,
+            testBaselines: this.testBaselines,
+            forecastInfo: this.forecastInfo
+        };
+    }
+
+    restoreState(state) {
+        this.dispose();
+        this.applySettings(state.settings);
+        this.columnMapping = state.columnMapping;
+        this.registerColumnFeatures(state.columnMapping
+            .filter(({ feature }) => feature.startsWith('column:'))
+            .map(({ column }) => ({ header: column })));
+
+        this.selectedTracks = state.selectedTracks;
+        this.trackMetadata = state.trackMetadata;
+        this.columnRoles = state.columnRoles;
+        this.parseReport = state.parseReport;
+        this.gapReport = state.gapReport;
+        this.fittedNormalization = state.fittedNormalization;
+        this.targetParams = state.targetParams;
+        this.testDates = state.testDates;
+        this.testBaseStreams = state.testBaseStreams;
+        this.testBaselines = state.testBaselines;
+        this.forecastInfo = state.forecastInfo;
+
+        Object.entries(state.tensors).forEach(([name, { values, shape }]) => {
+            this[name] = tf.tensor(values, shape);
+        });
     }
 
     getTrainingData() {
         return {
             X_train: this.X_train,
             y_train: this.y_train,
+            X_val: this.X_val,
+            y_val: this.y_val,
             X_test: this.X_test,
             y_test: this.y_test,
+            X_forecast: this.X_forecast,
+            forecastInfo: this.forecastInfo,
             trackMetadata: this.trackMetadata,
-            selectedTracks: this.selectedTracks
+            selectedTracks: this.selectedTracks,
+            testDates: this.testDates,
+            testBaseStreams: this.testBaseStreams,
+            features: this.getActiveFeatures().map(({ key, name, description }) => ({ key, name, description })),
+            columnMapping: this.getColumnMapping(),
+            parseReport: this.parseReport,
+            gapReport: this.gapReport,
+            normalization: this.exportNormalization(),
+            shape: this.getShapeDescriptor()
         };
     }
 
@@ -319,15 +1579,26 @@ class DataLoader {
         };
         
         console.log("Train has NaN:", hasNaN(data.X_train));
+        console.log("Validation has NaN:", hasNaN(data.X_val));
         console.log("Test has NaN:", hasNaN(data.X_test));
         
-        return !hasNaN(data.X_train) && !hasNaN(data.X_test);
+        return !hasNaN(data.X_train) && !hasNaN(data.X_val) && !hasNaN(data.X_test);
     }
 
     dispose() {
         if (this.X_train) this.X_train.dispose();
         if (this.y_train) this.y_train.dispose();
+        if (this.X_val) this.X_val.dispose();
+        if (this.y_val) this.y_val.dispose();
         if (this.X_test) this.X_test.dispose();
         if (this.y_test) this.y_test.dispose();
+        if (this.X_forecast) this.X_forecast.dispose();
+        this.X_train = null;
+        this.y_train = null;
+        this.X_val = null;
+        this.y_val = null;
+        this.X_test = null;
+        this.y_test = null;
+        this.X_forecast = null;
     }
 }
@@ -0,0 +1,128 @@
+class FeatureRegistry {
+    constructor() {
+        this.features = new Map();
+    }
+
+    // A feature computes one value per track-day from that track's date-sorted rows.
+    // normalization: 'scaled' uses the loader's fitted normalization strategy, 'none' passes values through.
+    // internal features are added by the loader itself and not offered for selection.
+    register({ key, name, description = '', compute, normalization = 'scaled', internal = false }) {
+        if (!key || typeof compute !== 'function') {
+            throw new Error('A feature needs a key and a compute function');
+        }
+        if (!['scaled', 'none'].includes(normalization)) {
+            throw new Error(`Unknown normalization for feature ${key}: ${normalization}`);
+        }
+        this.features.set(key, { key, name: name || key, description, compute, normalization, internal });
+        return this;
+    }
+
+    unregister(key) {
+        this.features.delete(key);
+    }
+
+    has(key) {
+        return this.features.has(key);
+    }
+
+    get(key) {
+        const feature = this.features.get(key);
+        if (!feature) {
+            throw new Error(`Unknown feature: ${key}`);
+        }
+        return feature;
+    }
+
+    list() {
+        return Array.from(this.features.values());
+    }
+
+    resolve(keys) {
+        return keys.map(key => this.get(key));
+    }
+
+    static movingAverage(rows, i, days) {
+        const start = Math.max(0, i - days + 1);
+        let sum = 0;
+        for (let j = start; j <= i; j++) {
+            sum += rows[j].streams;
+        }
+        return sum / (i - start + 1);
+    }
+
+    static createDefault() {
+        return new FeatureRegistry()
+            .register({
+                key: 'streams',
+                name: 'Streams',
+                description: 'Historical streaming patterns',
+                compute: (rows, i) => rows[i].streams
+            })
+            .register({
+                key: 'danceability',
+                name: 'Danceability',
+                description: 'Musical rhythm characteristics',
+                compute: (rows, i) => rows[i].danceability
+            })
+            .register({
+                key: 'energy',
+                name: 'Energy',
+                description: 'Intensity and activity level',
+                compute: (rows, i) => rows[i].energy
+            })
+            .register({
+                key: 'streams_momentum',
+                name: 'Momentum',
+                description: 'Daily change in streams',
+                compute: (rows, i) => (i > 0 ? rows[i].streams - rows[i - 1].streams : 0)
+            })
+            .register({
+                key: 'streams_ma3',
+                name: 'Moving Avg',
+                description: '3-day average streaming pattern',
+                compute: (rows, i) => FeatureRegistry.movingAverage(rows, i, 3)
+            })
+            .register({
+                key: 'streams_ma7',
+                name: '7-day Moving Avg',
+                description: '7-day average streaming pattern',
+                compute: (rows, i) => FeatureRegistry.movingAverage(rows, i, 7)
+            })
+            .register({
+                key: 'streams_volatility',
+                name: 'Volatility',
+                description: 'Standard deviation of daily stream changes over 7 days',
+                compute: (rows, i) => {
+                    const changes = [];
+                    for (let j = Math.max(1, i - 6); j <= i; j++) {
+                        changes.push(rows[j].streams - rows[j - 1].streams);
+                    }
+                    if (changes.length === 0) return 0;
+                    const mean = changes.reduce((sum, c) => sum + c, 0) / changes.length;
+                    return Math.sqrt(changes.reduce((sum, c) => sum + (c - mean) ** 2, 0) / changes.length);
+                }
+            })
+            .register({
+                key: 'day_of_week',
+                name: 'Day of Week',
+                description: 'Weekly listening cycle (Sunday = 0, Saturday = 1)',
+                compute: (rows, i) => {
+                    const day = new Date(rows[i].date).getUTCDay();
+                    return Number.isNaN(day) ? 0 : day / 6;
+                },
+                normalization: 'none'
+            })
+            .register({
+                key: 'valence',
+                name: 'Valence',
+                description: 'Musical positiveness',
+                compute: (rows, i) => rows[i].valence
+            })
+            .register({
+                key: 'acousticness',
+                name: 'Acousticness',
+                description: 'Acoustic vs. electronic sound',
+                compute: (rows, i) => rows[i].acousticness
+            });
+    }
+}
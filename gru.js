@@ -1,135 +1,326 @@
 class GRUModel {
-    constructor(inputShape = [7, 90]) {
+    static defaultHyperparameters() {
+        return {
+            architecture: 'gru',
+            epochs: 100,
+            batchSize: 32,
+            learningRate: 0.001,
+            patience: 20,
+            units: 32,
+            denseUnits: 64,
+            encoderDropout: 0.2,
+            denseDropout: 0.3,
+            l2: 0.001
+        };
+    }
+
+    // Fills in defaults and throws on the first out-of-range value
+    static validateHyperparameters(params = {}) {
+        const values = { ...GRUModel.defaultHyperparameters(), ...params };
+        if (!ModelFactory.has(values.architecture)) {
+            throw new Error(`Unknown model architecture: ${values.architecture}`);
+        }
+        const rules = {
+            epochs: { integer: true, min: 1, max: 1000, label: 'Epochs' },
+            batchSize: { integer: true, min: 1, max: 4096, label: 'Batch size' },
+            learningRate: { min: 1e-6, max: 1, label: 'Learning rate' },
+            patience: { integer: true, min: 1, max: 1000, label: 'Patience' },
+            units: { integer: true, min: 1, max: 1024, label: 'Encoder units' },
+            denseUnits: { integer: true, min: 1, max: 1024, label: 'Dense units' },
+            encoderDropout: { min: 0, max: 0.9, label: 'Encoder dropout' },
+            denseDropout: { min: 0, max: 0.9, label: 'Dense dropout' },
+            l2: { min: 0, max: 1, label: 'L2 regularization' }
+        };
+
+        Object.entries(rules).forEach(([key, rule]) => {
+            const value = values[key];
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`${rule.label} must be a number`);
+            }
+            if (rule.integer && !Number.isInteger(value)) {
+                throw new Error(`${rule.label} must be a whole number`);
+            }
+            if (value < rule.min || value > rule.max) {
+                throw new Error(`${rule.label} must be between ${rule.min} and ${rule.max}`);
+            }
+        });
+
+        return {
+            architecture: values.architecture,
+            ...Object.fromEntries(Object.keys(rules).map(key => [key, values[key]]))
+        };
+    }
+
+    constructor(shape, hyperparameters = {}) {
+        if (!shape || !shape.windowSize || !shape.featuresPerStep || !shape.targets) {
+            throw new Error('GRUModel requires a shape descriptor with windowSize, featuresPerStep and targets');
+        }
         this.model = null;
-        this.inputShape = inputShape;
-        this.history = {
+        this.shape = shape;
+        this.inputShape = [shape.windowSize, shape.featuresPerStep];
+        this.outputUnits = shape.targets;
+        this.targetMode = shape.targetMode || 'binary';
+        this.classCount = shape.classCount || 1;
+        // Key under which the per-epoch metric is stored in history and progress events
+        this.metricKey = this.targetMode === 'regression' ? 'mae' : 'accuracy';
+        this.history = this.createEmptyHistory();
+        this.bestWeights = null;
+        this.bestValLoss = Infinity;
+        this.bestEpoch = 0;
+        this.patienceCounter = 0;   // epochs since the best one
+        this.trainingStatus = 'idle';   // 'training' | 'completed' | 'early_stopped' | 'stopped'
+        this.stopRequested = false;
+        this.pauseGate = null;
+        this.releasePause = null;
+        this.hyperparameters = GRUModel.validateHyperparameters(hyperparameters);
+        this.learningRate = this.hyperparameters.learningRate;
+    }
+
+    createEmptyHistory() {
+        return {
             loss: [],
             val_loss: [],
-            accuracy: [],
-            val_accuracy: []
+            [this.metricKey]: [],
+            [`val_${this.metricKey}`]: []
         };
-        this.bestWeights = null;
-        this.bestValLoss = Infinity;
-        this.learningRate = 0.001;
     }
 
-    buildModel() {
-        // SIMPLIFIED MODEL - Much smaller and focused
-        this.model = tf.sequential({
-            layers: [
-                // Single GRU layer - smaller size
-                tf.layers.gru({
-                    units: 32,  // Reduced from 128
-                    returnSequences: false,
-                    inputShape: this.inputShape,
-                    dropout: 0.2,  // Reduced regularization
-                    recurrentDropout: 0.2,
-                    kernelRegularizer: tf.regularizers.l2({l2: 0.001}),
-                    name: 'gru_1'
-                }),
-                
-                // Single dense layer
+    // Mean of a per track-day value ([batch, targets]) over the observed target days. Imputed
+    // target days are NaN in y (DataLoader.createTarget) and count for nothing. tf.js names the
+    // metric in fit() history after the function, hence the explicit name.
+    static maskedMean(name, perTarget) {
+        const fn = (yTrue, yPred) => tf.tidy(() => {
+            const missing = tf.isNaN(yTrue);
+            const observed = (yTrue.rank > 2 ? missing.any(-1) : missing).logicalNot().cast('float32');
+            const values = perTarget(tf.where(missing, tf.zerosLike(yTrue), yTrue), yPred);
+            return values.mul(observed).sum().div(observed.sum().maximum(1));
+        });
+        Object.defineProperty(fn, 'name', { value: name });
+        return fn;
+    }
+
+    getCompileConfig() {
+        const clip = yPred => yPred.clipByValue(1e-7, 1 - 1e-7);
+        if (this.targetMode === 'multiclass') {
+            return {
+                optimizer: tf.train.adam(this.learningRate),
+                loss: GRUModel.maskedMean('categoricalCrossentropy', (yTrue, yPred) => yTrue.mul(clip(yPred).log()).sum(-1).neg()),
+                metrics: [GRUModel.maskedMean('categoricalAccuracy', (yTrue, yPred) => yTrue.argMax(-1).equal(yPred.argMax(-1)).cast('float32'))]
+            };
+        }
+        if (this.targetMode === 'regression') {
+            return {
+                optimizer: tf.train.adam(this.learningRate),
+                loss: GRUModel.maskedMean('meanSquaredError', (yTrue, yPred) => yPred.sub(yTrue).square()),
+                metrics: [GRUModel.maskedMean('mae', (yTrue, yPred) => yPred.sub(yTrue).abs())]
+            };
+        }
+        return {
+            optimizer: tf.train.adam(this.learningRate),
+            loss: GRUModel.maskedMean('binaryCrossentropy', (yTrue, yPred) => {
+                const p = clip(yPred);
+                return yTrue.mul(p.log()).add(tf.scalar(1).sub(yTrue).mul(tf.scalar(1).sub(p).log())).neg();
+            }),
+            metrics: [GRUModel.maskedMean('binaryAccuracy', (yTrue, yPred) => yPred.greater(0.5).cast('float32').equal(yTrue).cast('float32'))]
+        };
+    }
+
+    buildOutputLayers() {
+        if (this.targetMode === 'multiclass') {
+            // One softmax per track per horizon day: [targets, classCount]
+            return [
                 tf.layers.dense({
-                    units: 64,
-                    activation: 'relu',
-                    kernelRegularizer: tf.regularizers.l2({l2: 0.001}),
-                    name: 'dense_1'
+                    units: this.outputUnits * this.classCount,
+                    name: 'output_logits'
                 }),
-                tf.layers.dropout({rate: 0.3}),
-                
-                // Output layer
-                tf.layers.dense({
-                    units: 30,
-                    activation: 'sigmoid',
-                    name: 'output'
-                })
-            ]
-        });
+                tf.layers.reshape({ targetShape: [this.outputUnits, this.classCount] }),
+                tf.layers.softmax({ axis: -1, name: 'output' })
+            ];
+        }
+        return [
+            tf.layers.dense({
+                units: this.outputUnits,
+                activation: this.targetMode === 'regression' ? 'linear' : 'sigmoid',
+                name: 'output'
+            })
+        ];
+    }
 
-        const optimizer = tf.train.adam(this.learningRate);
-        
-        this.model.compile({
-            optimizer: optimizer,
-            loss: 'binaryCrossentropy',
-            metrics: ['binaryAccuracy']
+    // Name tf.js uses for the compiled metric in fit() history
+    getTfMetricName() {
+        if (this.targetMode === 'multiclass') return 'categoricalAccuracy';
+        return this.targetMode === 'regression' ? 'mae' : 'binaryAccuracy';
+    }
+
+    buildModel() {
+        const { architecture, denseUnits, denseDropout, l2 } = this.hyperparameters;
+
+        // Architecture-specific encoder, then the same dense head for every architecture
+        const input = tf.input({ shape: this.inputShape, name: 'window' });
+        let output = ModelFactory.buildEncoder(architecture, input, this.hyperparameters);
+        output = tf.layers.dense({
+            units: denseUnits,
+            activation: 'relu',
+            kernelRegularizer: tf.regularizers.l2({l2: l2}),
+            name: 'dense_1'
+        }).apply(output);
+        output = tf.layers.dropout({rate: denseDropout}).apply(output);
+        this.buildOutputLayers().forEach(layer => {
+            output = layer.apply(output);
         });
 
-        console.log('Simplified model built successfully');
+        this.model = tf.model({ inputs: input, outputs: output, name: architecture });
+        this.model.compile(this.getCompileConfig());
+
+        console.log(`${architecture} model built successfully`);
         return this.model;
     }
 
-    async fit(X_train, y_train, X_test, y_test, epochs = 100, batchSize = 32) {
+    // onProgress receives one plain object per epoch; it is posted as a message when training runs in a worker.
+    // With resume, history, best weights, the patience count and the epoch count carry on from the previous call.
+    async fit(
+        X_train, y_train, X_val, y_val,
+        epochs = this.hyperparameters.epochs,
+        batchSize = this.hyperparameters.batchSize,
+        { onProgress = null, resume = false } = {}
+    ) {
         if (!this.model) {
             this.buildModel();
         }
 
-        this.bestValLoss = Infinity;
-        this.bestWeights = null;
-        this.history = { loss: [], val_loss: [], accuracy: [], val_accuracy: [] };
+        this.assertDataShape(X_train, y_train);
+        this.assertDataShape(X_val, y_val);
+
+        if (!resume) {
+            this.bestValLoss = Infinity;
+            this.bestEpoch = 0;
+            this.patienceCounter = 0;
+            this.disposeBestWeights();
+            this.history = this.createEmptyHistory();
+        }
+        this.stopRequested = false;
+        this.trainingStatus = 'training';
+        const metricName = this.getTfMetricName();
+        const metricKey = this.metricKey;
         
-        const patience = 20;
-        let patienceCounter = 0;
+        const patience = this.hyperparameters.patience;
 
-        console.log('Starting simplified model training...');
+        console.log(resume ? 'Resuming model training...' : 'Starting simplified model training...');
         
-        for (let epoch = 0; epoch < epochs; epoch++) {
+        for (let epoch = this.history.loss.length; epoch < epochs; epoch++) {
+            // Yield between epochs so pause and stop requests get handled
+            await new Promise(resolve => setTimeout(resolve, 0));
+            await this.waitWhilePaused();
+            if (this.stopRequested) {
+                this.trainingStatus = 'stopped';
+                break;
+            }
+
             const history = await this.model.fit(X_train, y_train, {
                 epochs: 1,
                 batchSize: batchSize,
-                validationData: [X_test, y_test],
+                validationData: [X_val, y_val],
                 verbose: 0
             });
 
             const loss = history.history.loss[0];
-            const accuracy = history.history.binaryAccuracy[0];
+            const metric = history.history[metricName][0];
             const valLoss = history.history.val_loss[0];
-            const valAccuracy = history.history.val_binaryAccuracy[0];
+            const valMetric = history.history[`val_${metricName}`][0];
 
             this.history.loss.push(loss);
-            this.history.accuracy.push(accuracy);
+            this.history[metricKey].push(metric);
             this.history.val_loss.push(valLoss);
-            this.history.val_accuracy.push(valAccuracy);
+            this.history[`val_${metricKey}`].push(valMetric);
 
             // Early stopping
             if (valLoss < this.bestValLoss) {
                 this.bestValLoss = valLoss;
-                patienceCounter = 0;
-                this.bestWeights = await this.model.getWeights();
-                console.log(`Epoch ${epoch + 1}: Loss: ${loss.toFixed(4)}, Acc: ${accuracy.toFixed(4)}, Val Loss: ${valLoss.toFixed(4)}, Val Acc: ${valAccuracy.toFixed(4)}`);
+                this.bestEpoch = epoch + 1;
+                this.patienceCounter = 0;
+                // getWeights returns the live variables, so keep copies
+                this.disposeBestWeights();
+                this.bestWeights = this.model.getWeights().map(weight => weight.clone());
+                console.log(`Epoch ${epoch + 1}: Loss: ${loss.toFixed(4)}, ${metricKey}: ${metric.toFixed(4)}, Val Loss: ${valLoss.toFixed(4)}, Val ${metricKey}: ${valMetric.toFixed(4)}`);
             } else {
-                patienceCounter++;
-                if (patienceCounter >= patience) {
-                    console.log(`Early stopping at epoch ${epoch + 1}`);
-                    await this.model.setWeights(this.bestWeights);
-                    break;
-                }
+                this.patienceCounter++;
             }
 
-            const event = new CustomEvent('trainingProgress', {
-                detail: {
+            if (onProgress) {
+                onProgress({
                     epoch: epoch + 1,
                     loss: loss,
-                    accuracy: accuracy,
+                    [metricKey]: metric,
                     val_loss: valLoss,
-                    val_accuracy: valAccuracy,
-                    earlyStopping: patienceCounter
-                }
-            });
-            document.dispatchEvent(event);
+                    [`val_${metricKey}`]: valMetric,
+                    earlyStopping: this.patienceCounter
+                });
+            }
 
             if ((epoch + 1) % 10 === 0) {
-                console.log(`Epoch ${epoch + 1}/${epochs} - Loss: ${loss.toFixed(4)} - Acc: ${accuracy.toFixed(4)} - Val Loss: ${valLoss.toFixed(4)} - Val Acc: ${valAccuracy.toFixed(4)}`);
+                console.log(`Epoch ${epoch + 1}/${epochs} - Loss: ${loss.toFixed(4)} - ${metricKey}: ${metric.toFixed(4)} - Val Loss: ${valLoss.toFixed(4)} - Val ${metricKey}: ${valMetric.toFixed(4)}`);
+            }
+
+            if (this.patienceCounter >= patience) {
+                console.log(`Early stopping at epoch ${epoch + 1}`);
+                this.trainingStatus = 'early_stopped';
+                break;
             }
         }
 
-        console.log('Training completed');
+        if (this.trainingStatus === 'training') {
+            this.trainingStatus = 'completed';
+        }
+        // Stopping by hand or by patience leaves the best epoch's weights in place
+        if (this.trainingStatus !== 'completed' && this.bestWeights) {
+            this.model.setWeights(this.bestWeights);
+        }
+        this.resume();
+
+        console.log(`Training ${this.trainingStatus.replace('_', ' ')}`);
         return this.history;
     }
 
+    pause() {
+        if (!this.pauseGate) {
+            this.pauseGate = new Promise(resolve => {
+                this.releasePause = resolve;
+            });
+        }
+    }
+
+    resume() {
+        if (this.pauseGate) {
+            this.releasePause();
+            this.pauseGate = null;
+            this.releasePause = null;
+        }
+    }
+
+    // Takes effect before the next epoch starts
+    stop() {
+        this.stopRequested = true;
+        this.resume();
+    }
+
+    async waitWhilePaused() {
+        while (this.pauseGate) {
+            await this.pauseGate;
+        }
+    }
+
+    disposeBestWeights() {
+        if (this.bestWeights) {
+            this.bestWeights.forEach(weight => weight.dispose());
+        }
+        this.bestWeights = null;
+    }
+
     async predict(X) {
         if (!this.model) {
             throw new Error('Model not built or loaded');
         }
+        this.assertDataShape(X);
         return this.model.predict(X);
     }
 
@@ -137,43 +328,286 @@ class GRUModel {
         if (!this.model) {
             throw new Error('Model not built or loaded');
         }
+        this.assertDataShape(X_test, y_test);
         
         const results = this.model.evaluate(X_test, y_test);
         const loss = await results[0].data();
-        const accuracy = await results[1].data();
+        const metric = await results[1].data();
         
         results[0].dispose();
         results[1].dispose();
         
         return {
             loss: loss[0],
-            accuracy: accuracy[0]
+            [this.metricKey]: metric[0]
+        };
+    }
+
+    // Regression metrics on stream counts (callers denormalize before passing arrays in);
+    // NaN actuals are imputed target days and are skipped
+    computeRegressionMetrics(predicted, actual) {
+        let squaredError = 0;
+        let absoluteError = 0;
+        let percentError = 0;
+        let count = 0;
+        let percentCount = 0;
+
+        for (let sampleIdx = 0; sampleIdx < actual.length; sampleIdx++) {
+            for (let col = 0; col < actual[sampleIdx].length; col++) {
+                if (Number.isNaN(actual[sampleIdx][col])) continue;
+                const error = predicted[sampleIdx][col] - actual[sampleIdx][col];
+                squaredError += error * error;
+                absoluteError += Math.abs(error);
+                count++;
+
+                // MAPE is undefined where the actual value is zero
+                if (actual[sampleIdx][col] !== 0) {
+                    percentError += Math.abs(error / actual[sampleIdx][col]);
+                    percentCount++;
+                }
+            }
+        }
+
+        return {
+            mse: count > 0 ? squaredError / count : 0,
+            mae: count > 0 ? absoluteError / count : 0,
+            mape: percentCount > 0 ? (percentError / percentCount) * 100 : 0
+        };
+    }
+
+    computeTrackRegressionMetrics(predicted, actual, trackMetadata) {
+        const horizon = this.shape.horizon;
+        const trackMetrics = new Map();
+
+        Array.from(trackMetadata.keys()).forEach((trackId, trackIndex) => {
+            const start = trackIndex * horizon;
+            const trackPredicted = predicted.map(row => row.slice(start, start + horizon));
+            const trackActual = actual.map(row => row.slice(start, start + horizon));
+
+            trackMetrics.set(trackId, {
+                trackName: trackMetadata.get(trackId).name || trackId,
+                artist: trackMetadata.get(trackId).artist || '',
+                ...this.computeRegressionMetrics(trackPredicted, trackActual)
+            });
+        });
+
+        return trackMetrics;
+    }
+
+    // Collapses probabilities or one-hot targets to one class index per track-day: [samples, targets].
+    // threshold is the binary decision threshold; multi-class outputs take the most likely class.
+    toClassLabels(tensor, threshold = 0.5) {
+        return tf.tidy(() => {
+            if (this.classCount > 1) {
+                return tensor.argMax(-1);
+            }
+            return tensor.greater(threshold).cast('int32');
+        });
+    }
+
+    // Class index per track-day of the targets: [samples][targets], null where the target day was imputed
+    getTrueLabels(y_true) {
+        const labels = this.toClassLabels(y_true);
+        const missing = tf.tidy(() => {
+            const nan = tf.isNaN(y_true);
+            return y_true.rank > 2 ? nan.any(-1) : nan;
+        });
+        const classes = labels.arraySync();
+        const missingData = missing.arraySync();
+        labels.dispose();
+        missing.dispose();
+        return classes.map((sample, i) => sample.map((cls, col) => (missingData[i][col] ? null : cls)));
+    }
+
+    // Probability that each track-day goes up, whatever the output head
+    getUpProbabilities(predictions) {
+        if (this.classCount === 1) {
+            return predictions.arraySync();
+        }
+        const risingClasses = this.shape.risingClasses || [];
+        return predictions.arraySync().map(sample =>
+            sample.map(probs => risingClasses.reduce((sum, cls) => sum + probs[cls], 0))
+        );
+    }
+
+    // 1 where the track-day actually went up, else 0, null where it was imputed: [samples][targets]
+    getUpLabels(y_true) {
+        const risingClasses = this.classCount === 1 ? [1] : this.shape.risingClasses || [];
+        return this.getTrueLabels(y_true).map(sample => sample.map(cls => (cls === null ? null : (risingClasses.includes(cls) ? 1 : 0))));
+    }
+
+    // "Goes up" metrics over flat probability and 0/1 label arrays; percentages like computeClassMetrics,
+    // AUCs as 0-1 (null when only one class is present)
+    computeBinaryMetrics(probabilities, labels, threshold = 0.5) {
+        let tp = 0;
+        let fp = 0;
+        let tn = 0;
+        let fn = 0;
+        probabilities.forEach((probability, i) => {
+            const predicted = probability > threshold;
+            if (labels[i] === 1) {
+                if (predicted) tp++; else fn++;
+            } else if (predicted) {
+                fp++;
+            } else {
+                tn++;
+            }
+        });
+
+        const total = tp + fp + tn + fn;
+        const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+        const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+        const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+        return {
+            threshold: threshold,
+            confusion: { tp, fp, tn, fn },
+            accuracy: total > 0 ? ((tp + tn) / total) * 100 : 0,
+            precision: precision * 100,
+            recall: recall * 100,
+            f1: f1 * 100,
+            rocAuc: this.computeRocAuc(probabilities, labels),
+            prAuc: this.computePrAuc(probabilities, labels),
+            positives: tp + fn,
+            support: total
+        };
+    }
+
+    // Groups indices of equal probability, highest first, so tied scores move the curves together
+    groupByScore(probabilities) {
+        const order = probabilities.map((_, i) => i).sort((a, b) => probabilities[b] - probabilities[a]);
+        const groups = [];
+        order.forEach(i => {
+            const last = groups[groups.length - 1];
+            if (last && probabilities[last[0]] === probabilities[i]) {
+                last.push(i);
+            } else {
+                groups.push([i]);
+            }
+        });
+        return groups;
+    }
+
+    // Area under the ROC curve via the trapezoid rule over score thresholds
+    computeRocAuc(probabilities, labels) {
+        const positives = labels.filter(label => label === 1).length;
+        const negatives = labels.length - positives;
+        if (positives === 0 || negatives === 0) return null;
+
+        let tp = 0;
+        let fp = 0;
+        let area = 0;
+        this.groupByScore(probabilities).forEach(group => {
+            const groupPositives = group.filter(i => labels[i] === 1).length;
+            const groupNegatives = group.length - groupPositives;
+            area += (groupNegatives / negatives) * ((tp + groupPositives / 2) / positives);
+            tp += groupPositives;
+            fp += groupNegatives;
+        });
+        return area;
+    }
+
+    // Average precision: precision at each threshold weighted by the recall it adds
+    computePrAuc(probabilities, labels) {
+        const positives = labels.filter(label => label === 1).length;
+        if (positives === 0 || positives === labels.length) return null;
+
+        let tp = 0;
+        let seen = 0;
+        let area = 0;
+        this.groupByScore(probabilities).forEach(group => {
+            const groupPositives = group.filter(i => labels[i] === 1).length;
+            tp += groupPositives;
+            seen += group.length;
+            area += (groupPositives / positives) * (tp / seen);
+        });
+        return area;
+    }
+
+    // Reliability bins: mean predicted probability against the observed rate of rises
+    computeCalibration(probabilities, labels, binCount = 10) {
+        const bins = Array.from({ length: binCount }, (_, b) => ({
+            from: b / binCount,
+            to: (b + 1) / binCount,
+            count: 0,
+            predicted: 0,
+            observed: 0
+        }));
+        probabilities.forEach((probability, i) => {
+            const bin = bins[Math.min(binCount - 1, Math.floor(probability * binCount))];
+            bin.count++;
+            bin.predicted += probability;
+            bin.observed += labels[i];
+        });
+
+        return bins.filter(bin => bin.count > 0).map(({ from, to, count, predicted, observed }) => ({
+            from,
+            to,
+            count,
+            meanPredicted: predicted / count,
+            observedRate: observed / count
+        }));
+    }
+
+    // Binary metrics and calibration overall, per horizon day and per track;
+    // target column j * horizon + d belongs to track j, day d + 1
+    computeClassificationReport(upProbabilities, upLabels, threshold = 0.5) {
+        const horizon = this.shape.horizon;
+        const collect = (includeColumn) => {
+            const probabilities = [];
+            const labels = [];
+            upProbabilities.forEach((sample, sampleIdx) => {
+                sample.forEach((probability, col) => {
+                    if (includeColumn(col) && upLabels[sampleIdx][col] !== null) {
+                        probabilities.push(probability);
+                        labels.push(upLabels[sampleIdx][col]);
+                    }
+                });
+            });
+            return {
+                ...this.computeBinaryMetrics(probabilities, labels, threshold),
+                calibration: this.computeCalibration(probabilities, labels)
+            };
+        };
+
+        return {
+            overall: collect(() => true),
+            byDay: Array.from({ length: horizon }, (_, day) => collect(col => col % horizon === day)),
+            byTrack: Array.from({ length: this.shape.trackCount }, (_, track) => collect(col => Math.floor(col / horizon) === track))
         };
     }
 
-    computeTrackSpecificAccuracy(predictions, y_true, trackMetadata) {
-        const predData = predictions.arraySync();
-        const trueData = y_true.arraySync();
+    computeTrackSpecificAccuracy(predictions, y_true, trackMetadata, threshold = 0.5) {
+        const predLabels = this.toClassLabels(predictions, threshold);
+        const predData = predLabels.arraySync();
+        const trueData = this.getTrueLabels(y_true);
+        predLabels.dispose();
+        const horizon = this.shape.horizon;
         
         const trackAccuracies = new Map();
         const tracks = Array.from(trackMetadata.keys());
         
-        const dayAccuracies = { day1: 0, day2: 0, day3: 0 };
-        const dayCounts = { day1: 0, day2: 0, day3: 0 };
+        // Keyed day1..dayN so callers can label charts without knowing the horizon
+        const dayAccuracies = {};
+        const dayCounts = {};
+        for (let day = 1; day <= horizon; day++) {
+            dayAccuracies[`day${day}`] = 0;
+            dayCounts[`day${day}`] = 0;
+        }
         
         tracks.forEach((trackId, trackIndex) => {
             let correct = 0;
             let total = 0;
-            const trackDayAccuracies = [0, 0, 0];
-            const trackDayCounts = [0, 0, 0];
+            const trackDayAccuracies = new Array(horizon).fill(0);
+            const trackDayCounts = new Array(horizon).fill(0);
             
             for (let sampleIdx = 0; sampleIdx < predData.length; sampleIdx++) {
-                for (let dayOffset = 0; dayOffset < 3; dayOffset++) {
-                    const predIdx = trackIndex * 3 + dayOffset;
-                    const prediction = predData[sampleIdx][predIdx] > 0.5 ? 1 : 0;
-                    const actual = trueData[sampleIdx][predIdx] > 0.5 ? 1 : 0;
+                for (let dayOffset = 0; dayOffset < horizon; dayOffset++) {
+                    const predIdx = trackIndex * horizon + dayOffset;
+                    const prediction = predData[sampleIdx][predIdx];
+                    const actual = trueData[sampleIdx][predIdx];
                     
-                    if (actual !== undefined) {
+                    if (actual !== null) {
                         total++;
                         dayCounts[`day${dayOffset + 1}`]++;
                         
@@ -188,18 +622,16 @@ class GRUModel {
             }
             
             const accuracy = total > 0 ? (correct / total) * 100 : 0;
-            const day1Acc = trackDayCounts[0] > 0 ? (trackDayAccuracies[0] / trackDayCounts[0]) * 100 : 0;
-            const day2Acc = trackDayCounts[1] > 0 ? (trackDayAccuracies[1] / trackDayCounts[1]) * 100 : 0;
-            const day3Acc = trackDayCounts[2] > 0 ? (trackDayAccuracies[2] / trackDayCounts[2]) * 100 : 0;
+            const trackDays = {};
+            trackDayCounts.forEach((count, dayOffset) => {
+                trackDays[`day${dayOffset + 1}`] = count > 0 ? (trackDayAccuracies[dayOffset] / count) * 100 : 0;
+            });
             
             trackAccuracies.set(trackId, {
                 accuracy: accuracy,
                 trackName: trackMetadata.get(trackId).name || trackId,
-                dayAccuracies: {
-                    day1: day1Acc,
-                    day2: day2Acc,
-                    day3: day3Acc
-                }
+                artist: trackMetadata.get(trackId).artist || '',
+                dayAccuracies: trackDays
             });
         });
         
@@ -213,28 +645,199 @@ class GRUModel {
         };
     }
 
+    // Most frequent training class of each track, repeated for all of its horizon days
+    computeMajorityLabels(y_train) {
+        const trainLabels = this.getTrueLabels(y_train);
+        const horizon = this.shape.horizon;
+
+        const majority = [];
+        for (let start = 0; start < this.outputUnits; start += horizon) {
+            const counts = new Map();
+            trainLabels.forEach(sample => {
+                for (let col = start; col < start + horizon; col++) {
+                    if (sample[col] !== null) counts.set(sample[col], (counts.get(sample[col]) || 0) + 1);
+                }
+            });
+            // A track with no observed training target day falls back to class 0
+            const [label] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0] || [0];
+            majority.push(...new Array(horizon).fill(label));
+        }
+        return majority;
+    }
+
+    // Share of matching labels, in percent; both arguments are [samples][targets] arrays and
+    // null true labels (imputed target days) are skipped
+    computeLabelAccuracy(predictedLabels, trueLabels) {
+        let correct = 0;
+        let total = 0;
+        trueLabels.forEach((row, i) => {
+            row.forEach((label, col) => {
+                if (label === null) return;
+                if (predictedLabels[i][col] === label) correct++;
+                total++;
+            });
+        });
+        return total > 0 ? (correct / total) * 100 : 0;
+    }
+
     // FIXED: tf.size is not a function - replaced with proper TensorFlow.js syntax
-    async computeConsistentAccuracy(predictions, y_true) {
-        const binaryPreds = predictions.greater(0.5).cast('float32');
-        const binaryTrue = y_true.greater(0.5).cast('float32');
+    async computeConsistentAccuracy(predictions, y_true, threshold = 0.5) {
+        const binaryPreds = this.toClassLabels(predictions, threshold);
+        const binaryTrue = this.toClassLabels(y_true);
+        const observed = tf.tidy(() => {
+            const missing = tf.isNaN(y_true);
+            return (y_true.rank > 2 ? missing.any(-1) : missing).logicalNot();
+        });
         
-        // FIX: Use y_true.shape to calculate total elements
-        const correct = binaryPreds.equal(binaryTrue).sum();
-        const total = y_true.shape[0] * y_true.shape[1]; // Calculate total elements from shape
+        // Only observed target days count; imputed ones are NaN in y_true
+        const correct = binaryPreds.equal(binaryTrue).logicalAnd(observed).sum();
+        const total = observed.sum();
         
-        const accuracy = (await correct.data())[0] / total * 100;
+        const accuracy = (await correct.data())[0] / Math.max((await total.data())[0], 1) * 100;
         
         correct.dispose();
+        total.dispose();
+        observed.dispose();
         binaryPreds.dispose();
         binaryTrue.dispose();
         
         return accuracy;
     }
 
+    computeConfusionMatrix(predictions, y_true) {
+        const classCount = Math.max(this.classCount, 2);
+        const matrix = Array.from({ length: classCount }, () => new Array(classCount).fill(0));
+        const predLabels = this.toClassLabels(predictions);
+        const predData = predLabels.arraySync();
+        const trueData = this.getTrueLabels(y_true);
+        predLabels.dispose();
+
+        // Rows are actual classes, columns predicted classes
+        trueData.forEach((sample, sampleIdx) => {
+            sample.forEach((actual, targetIdx) => {
+                if (actual !== null) matrix[actual][predData[sampleIdx][targetIdx]]++;
+            });
+        });
+
+        return matrix;
+    }
+
+    computeClassMetrics(confusionMatrix) {
+        return confusionMatrix.map((row, cls) => {
+            const truePositives = row[cls];
+            const actualCount = row.reduce((sum, v) => sum + v, 0);
+            const predictedCount = confusionMatrix.reduce((sum, r) => sum + r[cls], 0);
+            const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+            const recall = actualCount > 0 ? truePositives / actualCount : 0;
+
+            return {
+                precision: precision * 100,
+                recall: recall * 100,
+                support: actualCount
+            };
+        });
+    }
+
+    // Permutation importance: how much the test loss rises when one group of input values is
+    // shuffled across samples, so each window keeps its other inputs but takes another window's
+    // values for the group. Groups are each feature (all tracks and days), each track (all
+    // features), each lag day (lag 1 is the day before the reference day), and each feature per
+    // lag day and per track. Every group is shuffled `repeats` times; results are { mean, std }.
+    async computePermutationImportance(X, y, repeats = 5, onProgress = null) {
+        this.assertDataShape(X, y);
+        if (!Number.isInteger(repeats) || repeats < 1 || repeats > 100) {
+            throw new Error('Permutations per group must be a whole number between 1 and 100');
+        }
+        const [sampleCount, windowSize, stepSize] = X.shape;
+        if (sampleCount < 2) {
+            throw new Error('Permutation importance needs at least two test windows');
+        }
+
+        const { featuresPerTrack, trackCount } = this.shape;
+        const values = await X.data();
+        const { loss: baselineLoss } = await this.evaluate(X, y);
+        const range = length => Array.from({ length }, (_, i) => i);
+
+        // Offsets inside one sample whose (lag, feature, track) passes the test
+        const positionsWhere = (test) => {
+            const positions = [];
+            for (let row = 0; row < windowSize; row++) {
+                for (let column = 0; column < stepSize; column++) {
+                    const track = Math.floor(column / featuresPerTrack);
+                    if (test(windowSize - row, column % featuresPerTrack, track)) {
+                        positions.push(row * stepSize + column);
+                    }
+                }
+            }
+            return positions;
+        };
+
+        const groupCount = featuresPerTrack * (1 + windowSize + trackCount) + trackCount + windowSize;
+        let done = 0;
+        const scoreGroup = async (test) => {
+            const positions = positionsWhere(test);
+            const sampleSize = windowSize * stepSize;
+            const increases = [];
+
+            for (let repeat = 0; repeat < repeats; repeat++) {
+                const order = range(sampleCount);
+                for (let i = sampleCount - 1; i > 0; i--) {
+                    const j = Math.floor(Math.random() * (i + 1));
+                    [order[i], order[j]] = [order[j], order[i]];
+                }
+
+                const shuffled = values.slice();
+                order.forEach((source, sample) => {
+                    positions.forEach(position => {
+                        shuffled[sample * sampleSize + position] = values[source * sampleSize + position];
+                    });
+                });
+                const X_shuffled = tf.tensor3d(shuffled, X.shape);
+                try {
+                    const { loss } = await this.evaluate(X_shuffled, y);
+                    increases.push(loss - baselineLoss);
+                } finally {
+                    X_shuffled.dispose();
+                }
+            }
+
+            done++;
+            if (onProgress) onProgress(done, groupCount);
+            const mean = increases.reduce((sum, v) => sum + v, 0) / repeats;
+            const variance = increases.reduce((sum, v) => sum + (v - mean) ** 2, 0) / repeats;
+            return { mean, std: Math.sqrt(variance) };
+        };
+
+        const lags = range(windowSize).map(i => i + 1);
+        const result = { baselineLoss, repeats, byFeature: [], byTrack: [], byLag: [], featureByLag: [], featureByTrack: [] };
+        for (const feature of range(featuresPerTrack)) {
+            result.byFeature.push(await scoreGroup((lag, f) => f === feature));
+        }
+        for (const track of range(trackCount)) {
+            result.byTrack.push(await scoreGroup((lag, f, t) => t === track));
+        }
+        for (const lag of lags) {
+            result.byLag.push(await scoreGroup(l => l === lag));
+        }
+        for (const feature of range(featuresPerTrack)) {
+            const byLag = [];
+            for (const lag of lags) {
+                byLag.push(await scoreGroup((l, f) => l === lag && f === feature));
+            }
+            const byTrack = [];
+            for (const track of range(trackCount)) {
+                byTrack.push(await scoreGroup((lag, f, t) => t === track && f === feature));
+            }
+            result.featureByLag.push(byLag);
+            result.featureByTrack.push(byTrack);
+        }
+        return result;
+    }
+
     getModelSummary() {
         if (!this.model) return 'Model not built';
         
-        let summary = 'Simplified Model Architecture:\n';
+        let summary = `Model Architecture (${this.hyperparameters.architecture}):\n`;
         let totalParams = 0;
         this.model.layers.forEach((layer, i) => {
             const params = layer.countParams();
@@ -255,18 +858,79 @@ class GRUModel {
         return saveResult;
     }
 
+    // Topology and weights as plain data, e.g. to hand a model trained in the worker to the page
+    async exportArtifacts() {
+        if (!this.model) {
+            throw new Error('No model to export');
+        }
+
+        let artifacts = null;
+        await this.model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+            artifacts = modelArtifacts;
+            return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+        }));
+        return artifacts;
+    }
+
     async loadModel(modelArtifacts) {
-        this.model = await tf.loadLayersModel(modelArtifacts);
+        const model = await tf.loadLayersModel(modelArtifacts);
+
+        try {
+            this.assertModelShape(model);
+        } catch (error) {
+            model.dispose();
+            throw error;
+        }
+
+        if (this.model) {
+            this.model.dispose();
+        }
+        this.model = model;
+        this.model.compile(this.getCompileConfig());
         console.log('Model loaded successfully');
         return this.model;
     }
 
+    assertModelShape(model) {
+        // Keras shapes carry a leading null batch dimension
+        const [, windowSize, featuresPerStep] = model.inputs[0].shape;
+        const [, targets, classCount = 1] = model.outputs[0].shape;
+
+        if (windowSize !== this.shape.windowSize || featuresPerStep !== this.shape.featuresPerStep) {
+            throw new Error(
+                `Loaded model expects input ${windowSize} × ${featuresPerStep} but the current data ` +
+                `produces ${this.shape.windowSize} × ${this.shape.featuresPerStep} ` +
+                `(${this.shape.trackCount} tracks × ${this.shape.featuresPerTrack} features)`
+            );
+        }
+        if (targets !== this.shape.targets) {
+            throw new Error(
+                `Loaded model predicts ${targets} targets but the current data has ${this.shape.targets} ` +
+                `(${this.shape.trackCount} tracks × ${this.shape.horizon} days)`
+            );
+        }
+        if (classCount !== this.classCount) {
+            throw new Error(`Loaded model predicts ${classCount} classes per target but the current data has ${this.classCount}`);
+        }
+    }
+
+    assertDataShape(X, y) {
+        const [, windowSize, featuresPerStep] = X.shape;
+        if (windowSize !== this.inputShape[0] || featuresPerStep !== this.inputShape[1]) {
+            throw new Error(`Input shape ${windowSize} × ${featuresPerStep} does not match model input ${this.inputShape.join(' × ')}`);
+        }
+        if (y && y.shape[1] !== this.outputUnits) {
+            throw new Error(`Target shape ${y.shape[1]} does not match model output ${this.outputUnits}`);
+        }
+        if (y && this.classCount > 1 && y.shape[2] !== this.classCount) {
+            throw new Error(`Targets have ${y.shape[2]} classes but the model predicts ${this.classCount}`);
+        }
+    }
+
     dispose() {
         if (this.model) {
             this.model.dispose();
         }
-        if (this.bestWeights) {
-            this.bestWeights.forEach(w => w.dispose());
-        }
+        this.disposeBestWeights();
     }
 } 
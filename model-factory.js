@@ -0,0 +1,79 @@
+class ModelFactory {
+    static architectures() {
+        return [
+            { key: 'gru', name: 'GRU', description: 'Single GRU layer' },
+            { key: 'stacked_gru', name: 'Stacked GRU', description: 'Two GRU layers, the first returning sequences' },
+            { key: 'bigru', name: 'Bidirectional GRU', description: 'GRU reading the window forwards and backwards' },
+            { key: 'lstm', name: 'LSTM', description: 'Single LSTM layer' },
+            { key: 'cnn', name: '1D CNN', description: 'Two convolutions over days with global average pooling' },
+            { key: 'attention', name: 'GRU + attention', description: 'GRU states pooled by learned per-day attention weights' },
+            { key: 'mlp', name: 'MLP baseline', description: 'Dense layer over the flattened window' }
+        ];
+    }
+
+    static has(architecture) {
+        return ModelFactory.architectures().some(({ key }) => key === architecture);
+    }
+
+    // Applies the architecture's encoder to a [windowSize, featuresPerStep] input and returns
+    // one feature vector per sample; the shared dense head and output layers follow it.
+    static buildEncoder(architecture, input, { units, encoderDropout, l2 }) {
+        const regularizer = () => tf.regularizers.l2({ l2: l2 });
+        const recurrent = (layer, name, returnSequences = false) => tf.layers[layer]({
+            units: units,
+            returnSequences: returnSequences,
+            dropout: encoderDropout,
+            recurrentDropout: encoderDropout,
+            kernelRegularizer: regularizer(),
+            name: name
+        });
+
+        switch (architecture) {
+            case 'gru':
+                return recurrent('gru', 'gru_1').apply(input);
+            case 'stacked_gru': {
+                const sequence = recurrent('gru', 'gru_1', true).apply(input);
+                return recurrent('gru', 'gru_2').apply(sequence);
+            }
+            case 'bigru':
+                return tf.layers.bidirectional({
+                    layer: recurrent('gru', 'gru_1'),
+                    mergeMode: 'concat',
+                    name: 'bigru_1'
+                }).apply(input);
+            case 'lstm':
+                return recurrent('lstm', 'lstm_1').apply(input);
+            case 'cnn': {
+                // tf.js has no causal padding or dilated gradients for conv1d; 'same' keeps short windows valid
+                const conv = name => tf.layers.conv1d({
+                    filters: units,
+                    kernelSize: 3,
+                    padding: 'same',
+                    activation: 'relu',
+                    kernelRegularizer: regularizer(),
+                    name: name
+                });
+                const first = conv('conv_1').apply(input);
+                const second = conv('conv_2').apply(tf.layers.dropout({ rate: encoderDropout }).apply(first));
+                return tf.layers.globalAveragePooling1d({ name: 'conv_pool' }).apply(second);
+            }
+            case 'attention': {
+                // score each day's hidden state, softmax over days, then take the weighted sum
+                const states = recurrent('gru', 'gru_1', true).apply(input);
+                const scores = tf.layers.dense({ units: 1, activation: 'tanh', name: 'attention_score' }).apply(states);
+                const weights = tf.layers.softmax({ name: 'attention_weights' })
+                    .apply(tf.layers.flatten().apply(scores));
+                return tf.layers.dot({ axes: [1, 1], name: 'attention_context' }).apply([weights, states]);
+            }
+            case 'mlp':
+                return tf.layers.dense({
+                    units: units,
+                    activation: 'relu',
+                    kernelRegularizer: regularizer(),
+                    name: 'mlp_1'
+                }).apply(tf.layers.flatten().apply(input));
+            default:
+                throw new Error(`Unknown model architecture: ${architecture}`);
+        }
+    }
+}
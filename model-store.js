@@ -0,0 +1,153 @@
+class ModelStore {
+    static DATABASE_VERSION = 2;
+    static BUNDLE_FORMAT = 'music-popularity-bundle';
+
+    // Saved model bundles and the training run registry in IndexedDB. A bundle holds the model artifacts
+    // plus everything needed to preprocess new data the same way; weights stay an ArrayBuffer here and
+    // are base64 in bundle files. A run holds one training run's config, history and metrics, no weights.
+    constructor(databaseName = 'musicPopularity') {
+        this.databaseName = databaseName;
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                const request = indexedDB.open(this.databaseName, ModelStore.DATABASE_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('bundles')) {
+                        db.createObjectStore('bundles', { keyPath: 'name' });
+                    }
+                    if (!db.objectStoreNames.contains('runs')) {
+                        db.createObjectStore('runs', { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // A failed open is retried on the next call
+            this.db.catch(() => {
+                this.db = null;
+            });
+        }
+        return this.db;
+    }
+
+    async request(storeName, mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    saveBundle(bundle) {
+        ModelStore.validateBundle(bundle);
+        return this.request('bundles', 'readwrite', store => store.put(bundle));
+    }
+
+    async loadBundle(name) {
+        const bundle = await this.request('bundles', 'readonly', store => store.get(name));
+        if (!bundle) {
+            throw new Error(`No saved model named "${name}"`);
+        }
+        return bundle;
+    }
+
+    // Newest first, without the weights
+    async listBundles() {
+        const bundles = await this.request('bundles', 'readonly', store => store.getAll());
+        return bundles
+            .map(({ name, savedAt, shape, settings }) => ({ name, savedAt, shape, targetMode: settings.targetMode }))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    deleteBundle(name) {
+        return this.request('bundles', 'readwrite', store => store.delete(name));
+    }
+
+    saveRun(run) {
+        return this.request('runs', 'readwrite', store => store.put(run));
+    }
+
+    // Merges changes into a stored run within one transaction; a run deleted meanwhile stays deleted
+    updateRun(id, changes) {
+        return this.request('runs', 'readwrite', store => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) store.put({ ...request.result, ...changes, id });
+            };
+            return request;
+        });
+    }
+
+    // Newest first
+    async listRuns() {
+        const runs = await this.request('runs', 'readonly', store => store.getAll());
+        return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    deleteRun(id) {
+        return this.request('runs', 'readwrite', store => store.delete(id));
+    }
+
+    static validateBundle(bundle) {
+        if (!bundle || bundle.format !== ModelStore.BUNDLE_FORMAT) {
+            throw new Error('Not a saved model bundle');
+        }
+        if (bundle.version !== 1) {
+            throw new Error(`Unsupported bundle version: ${bundle.version}`);
+        }
+        if (!bundle.name || !bundle.settings || !bundle.shape || !bundle.artifacts || !bundle.artifacts.modelTopology) {
+            throw new Error('Model bundle is incomplete');
+        }
+    }
+
+    // Single-file JSON form: the weight buffer becomes a base64 string
+    static toFileContent(bundle) {
+        const { weightData, ...artifacts } = bundle.artifacts;
+        return JSON.stringify({
+            ...bundle,
+            artifacts: { ...artifacts, weightData: ModelStore.encodeBase64(weightData) }
+        });
+    }
+
+    static fromFileContent(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Model bundle is not valid JSON');
+        }
+        ModelStore.validateBundle(bundle);
+        bundle.artifacts.weightData = ModelStore.decodeBase64(bundle.artifacts.weightData);
+        return bundle;
+    }
+
+    static encodeBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        // Chunked so large weight buffers don't overflow the argument list
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static decodeBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+}
@@ -0,0 +1,263 @@
+class TrainingSession {
+    // Owns the data and model on the worker side. Requests and replies are plain data so
+    // the same session can also run on the page when workers are unavailable.
+    constructor() {
+        this.dataLoader = new DataLoader();
+        this.model = null;
+        this.activeModel = null;    // the model currently fitting, which pause/resume/stop act on
+        this.run = null;
+    }
+
+    async handle(type, payload, emit) {
+        switch (type) {
+            case 'loadData':
+                return this.loadData(payload, emit);
+            case 'train':
+                return this.train(payload, emit);
+            case 'crossValidate':
+                return this.crossValidate(payload, emit);
+            case 'computeImportance':
+                return this.computeImportance(payload, emit);
+            case 'pauseTraining':
+                return this.controlTraining(model => model.pause());
+            case 'resumeTraining':
+                return this.controlTraining(model => model.resume());
+            case 'stopTraining':
+                return this.controlTraining(model => model.stop());
+            default:
+                throw new Error(`Unknown worker request: ${type}`);
+        }
+    }
+
+    async loadData({ file, columnRoles, settings, externalMetadata }, emit) {
+        const loader = this.dataLoader;
+        loader.dispose();
+        loader.applySettings(settings);
+        loader.externalMetadata = externalMetadata || new Map();
+
+        await loader.loadCSV(file, columnRoles, (fraction) => {
+            emit('loading', { message: `Parsing CSV data... ${Math.round(fraction * 100)}%` });
+        });
+        emit('loading', { message: 'Building training windows...' });
+        loader.createSlidingWindows();
+
+        if (!loader.validateData()) {
+            throw new Error('Data validation failed. Check console for details.');
+        }
+
+        // Model shapes follow the loaded data, so new data needs a new model
+        if (this.model) this.model.dispose();
+        this.model = new GRUModel(loader.getShapeDescriptor());
+
+        return loader.exportState();
+    }
+
+    // A fresh run builds a new model from the given hyperparameters; resuming keeps the
+    // stopped run's model and config so its history stays comparable, except for the
+    // stopping rules (epochs, patience), which may be raised or lowered
+    async train({ hyperparameters = {}, resume = false }, emit) {
+        const loader = this.dataLoader;
+        if (!this.model || !loader.X_train) {
+            throw new Error('No training data available. Please load CSV file first.');
+        }
+        if (this.activeModel) {
+            throw new Error('Training is already in progress');
+        }
+
+        if (resume) {
+            this.model.hyperparameters = this.getResumeHyperparameters(hyperparameters);
+            this.run = { ...this.run, hyperparameters: this.model.hyperparameters };
+        } else {
+            this.model.dispose();
+            this.model = new GRUModel(loader.getShapeDescriptor(), hyperparameters);
+            this.run = { hyperparameters: this.model.hyperparameters, startedAt: new Date().toISOString() };
+        }
+        const { epochs, batchSize } = this.model.hyperparameters;
+
+        this.activeModel = this.model;
+        let history;
+        try {
+            history = await this.model.fit(
+                loader.X_train,
+                loader.y_train,
+                loader.X_val,
+                loader.y_val,
+                epochs,
+                batchSize,
+                { onProgress: (progress) => emit('trainingProgress', progress), resume: resume }
+            );
+        } finally {
+            this.activeModel = null;
+        }
+
+        this.run = {
+            ...this.run,
+            finishedAt: new Date().toISOString(),
+            status: this.model.trainingStatus,
+            epochsRun: history.loss.length,
+            bestEpoch: this.model.bestEpoch,
+            bestValLoss: this.model.bestValLoss
+        };
+
+        return {
+            history: history,
+            run: this.run,
+            artifacts: await this.model.exportArtifacts()
+        };
+    }
+
+    getResumeHyperparameters(requested) {
+        const current = this.model.hyperparameters;
+        const values = GRUModel.validateHyperparameters({ ...current, ...requested });
+        const changed = Object.keys(current).filter(key => !['epochs', 'patience'].includes(key) && values[key] !== current[key]);
+        if (changed.length > 0) {
+            throw new Error(`Only epochs and patience can change when resuming; start a new run to change ${changed.join(', ')}`);
+        }
+
+        const epochsRun = this.model.history.loss.length;
+        if (values.epochs <= epochsRun) {
+            throw new Error(`Epochs must be more than the ${epochsRun} already run to resume`);
+        }
+        return values;
+    }
+
+    // Walk-forward validation: each fold trains a fresh model on an expanding window of history,
+    // stops early on the block after it and is scored on the block after that. Stopping ends the
+    // run with the folds finished so far. The regular split is rebuilt afterwards.
+    async crossValidate({ folds = 3, hyperparameters = {} }, emit) {
+        const loader = this.dataLoader;
+        if (!loader.windows) {
+            throw new Error('No training data available. Please load CSV file first.');
+        }
+        if (this.activeModel) {
+            throw new Error('Training is already in progress');
+        }
+
+        const ranges = loader.getWalkForwardRanges(folds);
+        const results = [];
+        try {
+            for (let fold = 1; fold <= ranges.length; fold++) {
+                loader.buildSplits(ranges[fold - 1]);
+                const model = new GRUModel(loader.getShapeDescriptor(), hyperparameters);
+                const { epochs, batchSize } = model.hyperparameters;
+                this.activeModel = model;
+
+                try {
+                    await model.fit(loader.X_train, loader.y_train, loader.X_val, loader.y_val, epochs, batchSize, {
+                        onProgress: (progress) => emit('cvProgress', { fold, folds: ranges.length, ...progress })
+                    });
+                    if (model.trainingStatus === 'stopped') break;
+
+                    results.push({
+                        fold: fold,
+                        trainSamples: ranges[fold - 1].trainEnd,
+                        testFrom: loader.testDates[0],
+                        testTo: loader.testDates[loader.testDates.length - 1],
+                        epochsRun: model.history.loss.length,
+                        ...await this.scoreTestSet(model)
+                    });
+                } finally {
+                    model.dispose();
+                }
+            }
+        } finally {
+            this.activeModel = null;
+            loader.buildSplits(loader.getSplitRanges(loader.windows.ends.length));
+        }
+
+        return {
+            folds: results,
+            stopped: results.length < ranges.length,
+            summary: TrainingSession.summarizeFolds(results)
+        };
+    }
+
+    // Permutation importance of the page's model on the test split. The weights come with the
+    // request, so a model loaded from a saved bundle is scored the same way as one trained here.
+    async computeImportance({ artifacts, repeats }, emit) {
+        const loader = this.dataLoader;
+        if (!loader.X_test) {
+            throw new Error('No test data available. Please load CSV file first.');
+        }
+        if (this.activeModel) {
+            throw new Error('Training is already in progress');
+        }
+
+        const model = new GRUModel(loader.getShapeDescriptor());
+        try {
+            await model.loadModel(tf.io.fromMemory(artifacts));
+            return await model.computePermutationImportance(loader.X_test, loader.y_test, repeats, (done, total) => {
+                emit('importanceProgress', { done, total });
+            });
+        } finally {
+            model.dispose();
+        }
+    }
+
+    // Loss plus the evaluation summary's scores: accuracy and the "goes up" metrics at the
+    // default threshold for classification, stream MSE, MAE and MAPE for regression
+    async scoreTestSet(model) {
+        const loader = this.dataLoader;
+        const { loss } = await model.evaluate(loader.X_test, loader.y_test);
+        const predictions = await model.predict(loader.X_test);
+
+        try {
+            if (loader.targetMode !== 'regression') {
+                const { precision, recall, f1, rocAuc, prAuc } = model.computeClassificationReport(
+                    model.getUpProbabilities(predictions), model.getUpLabels(loader.y_test)
+                ).overall;
+                return {
+                    loss,
+                    accuracy: await model.computeConsistentAccuracy(predictions, loader.y_test),
+                    precision, recall, f1, rocAuc, prAuc
+                };
+            }
+            const toStreams = async (tensor) => loader.targetsToStreams(
+                loader.denormalizeTargets(await tensor.array()), loader.testBaseStreams
+            );
+            return {
+                loss,
+                ...model.computeRegressionMetrics(await toStreams(predictions), await toStreams(loader.y_test))
+            };
+        } finally {
+            predictions.dispose();
+        }
+    }
+
+    // Mean and population standard deviation of every numeric score across folds; fold and
+    // trainSamples describe the fold rather than score it. A score can be null in some folds
+    // (an AUC when the test block has one class only) and is summarized over the rest.
+    static summarizeFolds(results) {
+        const summary = {};
+        if (results.length === 0) return summary;
+
+        const metrics = new Set(results.flatMap(result => Object.keys(result)));
+        metrics.forEach(metric => {
+            if (metric === 'fold' || metric === 'trainSamples') return;
+            const values = results.map(result => result[metric]).filter(value => typeof value === 'number');
+            if (values.length === 0) return;
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+            summary[metric] = { mean, std: Math.sqrt(variance) };
+        });
+        return summary;
+    }
+
+    // Control requests arrive while train() or crossValidate() is awaiting; the fit loop
+    // checks them between epochs
+    controlTraining(action) {
+        const model = this.activeModel;
+        if (!model || model.trainingStatus !== 'training') {
+            throw new Error('No training in progress');
+        }
+        action(model);
+        return { status: model.trainingStatus };
+    }
+
+    dispose() {
+        this.dataLoader.dispose();
+        if (this.model) this.model.dispose();
+        this.model = null;
+        this.activeModel = null;
+    }
+}
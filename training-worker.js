@@ -0,0 +1,28 @@
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.18.0',
+    'csv-parser.js',
+    'feature-registry.js',
+    'data-loader.js',
+    'model-factory.js',
+    'gru.js',
+    'training-session.js'
+);
+
+const session = new TrainingSession();
+
+// Each request carries an id; progress and the final result or error are posted back under it
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        const result = await session.handle(type, payload, (name, detail) => {
+            self.postMessage({ id, type: 'progress', name, detail });
+        });
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        console.error(`Worker ${type} error:`, error);
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,84 @@
+class WorkerClient {
+    // Page-side handle on training-worker.js. Falls back to an in-page TrainingSession
+    // when a worker cannot start, e.g. when the app is opened from file://.
+    constructor(scriptUrl = 'training-worker.js') {
+        this.worker = null;
+        this.session = null;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.ready = this.startWorker(scriptUrl).catch((error) => {
+            console.warn('Web Worker unavailable, processing on the main thread:', error.message);
+            this.worker = null;
+            this.session = new TrainingSession();
+        });
+    }
+
+    startWorker(scriptUrl) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(scriptUrl);
+
+            worker.addEventListener('message', (event) => {
+                if (event.data.type === 'ready') {
+                    this.worker = worker;
+                    resolve();
+                } else {
+                    this.handleMessage(event.data);
+                }
+            });
+
+            worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                const error = new Error(event.message || 'Worker failed to load');
+                if (!this.worker) {
+                    worker.terminate();
+                    reject(error);
+                    return;
+                }
+                this.rejectPending(error);
+            });
+        });
+    }
+
+    handleMessage({ id, type, name, detail, result, message }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        if (type === 'progress') {
+            if (request.onProgress) request.onProgress(name, detail);
+        } else if (type === 'result') {
+            this.pending.delete(id);
+            request.resolve(result);
+        } else if (type === 'error') {
+            this.pending.delete(id);
+            request.reject(new Error(message));
+        }
+    }
+
+    rejectPending(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+
+    // onProgress(name, detail) is called for every progress message of this request
+    async call(type, payload, onProgress = null) {
+        await this.ready;
+
+        if (!this.worker) {
+            return this.session.handle(type, payload, (name, detail) => {
+                if (onProgress) onProgress(name, detail);
+            });
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+
+    dispose() {
+        this.rejectPending(new Error('Worker closed'));
+        if (this.worker) this.worker.terminate();
+        if (this.session) this.session.dispose();
+    }
+}